@@ -0,0 +1,377 @@
+/* ----------------------
+  Neon Tetris — bot
+  DOM-free placement search and CPU controller built on TetrisCore. Runs in
+  the browser (as window.TetrisBot, after game-core.js) and in Node.
+
+  const best = bestMove(game.getState(), { useHold: true }); // { hold, placement }
+  const cpu = createCpuPlayer(game, { level: "hard" }); // or { pps, mistakeRate, useHold }
+  const faults = finesseFaults(10, "T", matrix, x, presses); // extra key presses, or null
+  const drills = finessePlacements(10, "T"); // [{ key, x, rotation, path }]
+  // the CPU now plays `game` by calling game.input() from its beforeStep event
+-------------------------*/
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./game-core.js"));
+  else root.TetrisBot = factory(root.TetrisCore);
+})(typeof self !== "undefined" ? self : this, function (TetrisCore) {
+  "use strict";
+
+  const { TICK_MS, collide, createPiece, createRng, getKicks, rotateMatrix } = TetrisCore;
+  const coreSpawn = TetrisCore.spawnPosition;
+
+  /* ------------------------
+     Board evaluation
+     Weighted sum of aggregate height, completed lines, holes and bumpiness
+     (the classic hand-tuned weights; higher is better).
+  ---------------------------*/
+  const WEIGHTS = { height: -0.510066, lines: 0.760666, holes: -0.35663, bumpiness: -0.184483 };
+
+  function columnHeights(arena) {
+    const rows = arena.length, cols = arena[0].length;
+    const heights = new Array(cols).fill(0);
+    for (let x = 0; x < cols; ++x) {
+      for (let y = 0; y < rows; ++y) {
+        if (arena[y][x]) { heights[x] = rows - y; break; }
+      }
+    }
+    return heights;
+  }
+
+  function countHoles(arena, heights) {
+    const rows = arena.length;
+    let holes = 0;
+    for (let x = 0; x < heights.length; ++x) {
+      for (let y = rows - heights[x] + 1; y < rows; ++y) if (!arena[y][x]) holes++;
+    }
+    return holes;
+  }
+
+  /* score a board after a placement that cleared `lines` rows */
+  function evaluateBoard(arena, lines = 0) {
+    const heights = columnHeights(arena);
+    let bumpiness = 0;
+    for (let x = 0; x + 1 < heights.length; ++x) bumpiness += Math.abs(heights[x] - heights[x + 1]);
+    const height = heights.reduce((a, b) => a + b, 0);
+    return WEIGHTS.height * height + WEIGHTS.lines * lines +
+      WEIGHTS.holes * countHoles(arena, heights) + WEIGHTS.bumpiness * bumpiness;
+  }
+
+  /* ------------------------
+     Placements
+  ---------------------------*/
+  /* the matrix of a piece type in each rotation state 0..3 */
+  function rotationsOf(type) {
+    const out = [createPiece(type)];
+    for (let r = 1; r < 4; ++r) {
+      const m = out[r - 1].map(row => row.slice());
+      rotateMatrix(m, 1);
+      out.push(m);
+    }
+    return out;
+  }
+
+  /* board after locking matrix at (x, y) with full rows removed */
+  function placeOn(arena, matrix, x, y) {
+    const cols = arena[0].length;
+    const board = arena.map(row => row.slice());
+    for (let my = 0; my < matrix.length; ++my) {
+      for (let mx = 0; mx < matrix[my].length; ++mx) {
+        if (!matrix[my][mx]) continue;
+        const ay = y + my;
+        if (ay >= 0) board[ay][x + mx] = matrix[my][mx];
+      }
+    }
+    const kept = board.filter(row => row.some(v => v === 0));
+    const lines = board.length - kept.length;
+    while (kept.length < board.length) kept.unshift(new Array(cols).fill(0));
+    return { board: kept, lines };
+  }
+
+  /* ------------------------
+     Path search
+     Breadth-first search over (x, y, rotation) using the engine's own
+     collide() and SRS kicks, so only placements a player could actually
+     reach are considered, tucks and spins included. Moves are single
+     shifts, rotations (cw, ccw, 180) and "drop" (fall to the floor, i.e. a
+     soft drop held until the piece lands); a final "drop" is a hard drop.
+  ---------------------------*/
+  const MOVES = ["left", "right", "drop", "cw", "ccw", "180"];
+  const MIN_Y = -4; // kicks can lift a piece; don't search far above the board
+
+  /* the engine's spawn point; buffer = hidden rows at the top of arena */
+  function spawnPosition(arena, type, buffer = 0) {
+    return Object.assign(coreSpawn(arena[0].length, buffer, type), { rotation: 0 });
+  }
+
+  /* the state after one move, or null if it is blocked */
+  function applyMove(arena, type, mats, node, move) {
+    const { x, y, rotation } = node;
+    const matrix = mats[rotation];
+    if (move === "left" || move === "right") {
+      const nx = x + (move === "left" ? -1 : 1);
+      return collide(arena, nx, y, matrix) ? null : { x: nx, y, rotation };
+    }
+    if (move === "drop") {
+      let ny = y;
+      while (!collide(arena, x, ny + 1, matrix)) ny++;
+      return ny === y ? null : { x, y: ny, rotation };
+    }
+    const to = (rotation + (move === "cw" ? 1 : move === "ccw" ? 3 : 2)) % 4;
+    if (type === "O") return null; // the state changes, the cells don't
+    const kicks = getKicks(type, rotation, to);
+    for (let i = 0; i < kicks.length; ++i) {
+      const nx = x + kicks[i][0], ny = y - kicks[i][1];
+      if (!collide(arena, nx, ny, mats[to])) return ny < MIN_Y ? null : { x: nx, y: ny, rotation: to, kick: i };
+    }
+    return null;
+  }
+
+  /* every reachable resting placement from start, each with the shortest key path */
+  function findPlacements(arena, type, start = spawnPosition(arena, type)) {
+    const mats = rotationsOf(type);
+    const rotation = start.rotation || 0;
+    if (collide(arena, start.x, start.y, mats[rotation])) return [];
+    const id = n => `${n.x},${n.y},${n.rotation}`;
+    const first = { x: start.x, y: start.y, rotation, path: [] };
+    const visited = new Set([id(first)]);
+    const placements = new Map(); // footprint -> placement
+    const queue = [first];
+    for (let i = 0; i < queue.length; ++i) {
+      const node = queue[i];
+      const matrix = mats[node.rotation];
+      if (collide(arena, node.x, node.y + 1, matrix)) {
+        // resting: identical footprints (S/Z/I mirrors) keep the shortest path
+        const key = footprint(matrix, node.x, node.y);
+        if (!placements.has(key)) {
+          const { board, lines } = placeOn(arena, matrix, node.x, node.y);
+          placements.set(key, {
+            type, key, x: node.x, y: node.y, rotation: node.rotation, matrix, lines,
+            path: node.path, score: evaluateBoard(board, lines)
+          });
+        }
+      }
+      for (const move of MOVES) {
+        const next = applyMove(arena, type, mats, node, move);
+        if (!next || visited.has(id(next))) continue;
+        visited.add(id(next));
+        next.path = node.path.concat(move);
+        queue.push(next);
+      }
+    }
+    return [...placements.values()].sort((a, b) => b.score - a.score);
+  }
+
+  /* shortest path from start to the placement with footprint key, or null */
+  function pathTo(arena, type, start, key) {
+    const hit = findPlacements(arena, type, start).find(p => p.key === key);
+    return hit ? hit.path : null;
+  }
+
+  /* best move for an engine state: { hold, placement }, optionally trying the hold piece */
+  function bestMove(state, options = {}) {
+    const { arena, player } = state;
+    if (!player || state.gameOver) return null;
+    const own = findPlacements(arena, player.type, { x: player.pos.x, y: player.pos.y, rotation: player.rotation });
+    let best = own.length ? { hold: false, placement: own[0], placements: own } : null;
+    if (options.useHold && !state.holdUsed) {
+      const other = state.hold || state.queue[0];
+      const alt = other ? findPlacements(arena, other, spawnPosition(arena, other, state.buffer)) : [];
+      if (alt.length && (!best || alt[0].score > best.placement.score)) best = { hold: true, placement: alt[0], placements: alt };
+    }
+    return best;
+  }
+
+  function footprint(matrix, x, y) {
+    const cells = [];
+    for (let my = 0; my < matrix.length; ++my)
+      for (let mx = 0; mx < matrix[my].length; ++mx)
+        if (matrix[my][mx]) cells.push(`${x + mx},${y + my}`);
+    return cells.join(";");
+  }
+
+  /* ------------------------
+     Finesse
+     The fewest key presses that put a piece in each column and orientation
+     of an open field: taps, DAS shifts to the wall and rotations (one press
+     each), searched breadth first from spawn with the engine's kicks.
+     Placements are keyed by shape and columns, so mirror rotations of S, Z
+     and I share one entry. Tucks and spins are outside its scope.
+  ---------------------------*/
+  const FINESSE_MOVES = ["left", "right", "dasLeft", "dasRight", "cw", "ccw", "180"];
+  const finesseTables = new Map(); // `${cols}:${type}` -> Map(key -> { key, x, rotation, path })
+
+  /* a placement's key: its cells relative to its top row, in board columns */
+  function finesseKey(matrix, x) {
+    let top = Infinity;
+    matrix.forEach((row, y) => { if (row.some(v => v)) top = Math.min(top, y); });
+    return footprint(matrix, x, -top);
+  }
+
+  function finesseTable(cols, type) {
+    const id = `${cols}:${type}`;
+    if (finesseTables.has(id)) return finesseTables.get(id);
+    // tall enough for any kick; nothing on it but walls and floor
+    const arena = Array.from({ length: 8 }, () => new Array(cols).fill(0));
+    const mats = rotationsOf(type);
+    const start = Object.assign(coreSpawn(cols, 4, type), { rotation: 0 });
+    const key = n => `${n.x},${n.y},${n.rotation}`;
+    const table = new Map();
+    const visited = new Set([key(start)]);
+    const queue = [Object.assign({ path: [] }, start)];
+    for (let i = 0; i < queue.length; ++i) {
+      const node = queue[i];
+      const place = finesseKey(mats[node.rotation], node.x);
+      if (!table.has(place)) table.set(place, { key: place, x: node.x, rotation: node.rotation, path: node.path });
+      for (const move of FINESSE_MOVES) {
+        let next;
+        if (move === "dasLeft" || move === "dasRight") {
+          const step = move === "dasLeft" ? "left" : "right";
+          let cur = node;
+          for (let n; (n = applyMove(arena, type, mats, cur, step)); ) cur = n;
+          next = cur === node ? null : { x: cur.x, y: cur.y, rotation: cur.rotation };
+        } else {
+          next = applyMove(arena, type, mats, node, move);
+        }
+        if (!next || visited.has(key(next))) continue;
+        visited.add(key(next));
+        next.path = node.path.concat(move);
+        queue.push(next);
+      }
+    }
+    finesseTables.set(id, table);
+    return table;
+  }
+
+  /* every distinct placement of a piece, each with its optimal key sequence */
+  function finessePlacements(cols, type) {
+    return [...finesseTable(cols, type).values()];
+  }
+
+  /* the optimal key sequence for a piece ending as matrix at column x, or null */
+  function finessePath(cols, type, matrix, x) {
+    const entry = finesseTable(cols, type).get(finesseKey(matrix, x));
+    return entry ? entry.path : null;
+  }
+
+  /* presses beyond the optimum (0 = clean), or null if the placement is unknown */
+  function finesseFaults(cols, type, matrix, x, presses) {
+    const path = finessePath(cols, type, matrix, x);
+    return path ? Math.max(0, presses - path.length) : null;
+  }
+
+  /* ------------------------
+     CPU controller
+     Picks a placement (and whether to hold first) when a piece spawns, then
+     presses one key every `actionTicks` ticks along a path re-searched from
+     the piece's current position, so gravity and failed kicks are absorbed.
+     Speed is capped at `pps` pieces per second by waiting before the first
+     key; with probability `mistakeRate` it deliberately picks a worse
+     placement. All randomness is seeded, so a CPU match replays exactly.
+  ---------------------------*/
+  const CPU_LEVELS = {
+    easy: { label: "Easy", pps: 0.6, mistakeRate: 0.3, useHold: false },
+    medium: { label: "Medium", pps: 1.2, mistakeRate: 0.12, useHold: false },
+    hard: { label: "Hard", pps: 2, mistakeRate: 0.04, useHold: true },
+    expert: { label: "Expert", pps: 3.5, mistakeRate: 0, useHold: true }
+  };
+  const MAX_ATTEMPTS = 40; // keys per piece before giving up and hard dropping
+
+  function createCpuPlayer(game, options = {}) {
+    const level = CPU_LEVELS[options.level] || CPU_LEVELS.medium;
+    const pps = options.pps || level.pps;
+    const mistakeRate = options.mistakeRate !== undefined ? options.mistakeRate : level.mistakeRate;
+    const useHold = options.useHold !== undefined ? options.useHold : level.useHold;
+    const actionTicks = options.actionTicks || 3;
+    // seeded from the game's seed too, so each match differs but replays exactly
+    const seedRng = () => createRng(((options.seed || 0) ^ game.getState().seed) >>> 0);
+    let rng = seedRng();
+    let plan = null; // { key, hold, swapping }
+    let nextActionAt = 0;
+    let attempts = 0;
+    let softHeld = false;
+
+    /* a mistake: any of the top half, never the best */
+    function mistake(placements) {
+      const pool = placements.slice(1, Math.max(2, Math.ceil(placements.length / 2)));
+      return pool.length ? pool[Math.floor(rng() * pool.length)] : placements[0];
+    }
+
+    function releaseSoft() {
+      if (!softHeld) return;
+      softHeld = false;
+      game.input("soft", false);
+    }
+
+    function planPiece() {
+      const s = game.getState();
+      releaseSoft();
+      if (s.gameOver || !s.player) return;
+      // the piece we just swapped in by holding: keep the planned target
+      if (plan && plan.swapping) { plan.swapping = false; return; }
+      const move = bestMove(s, { useHold });
+      const target = move && (rng() >= mistakeRate ? move.placement : mistake(move.placements));
+      const keys = target ? target.path.length + (move.hold ? 1 : 0) : 1;
+      // wait so that the whole piece takes at least 1 / pps seconds
+      const budget = Math.ceil(1000 / pps / TICK_MS);
+      plan = target ? { key: target.key, hold: move.hold, swapping: false } : null;
+      nextActionAt = s.tick + Math.max(0, budget - keys * actionTicks);
+      attempts = 0;
+    }
+
+    /* one key per call: hold if planned, then follow the path, then hard drop */
+    function act() {
+      const s = game.getState();
+      if (s.gameOver || s.paused || s.tick < nextActionAt) return;
+      nextActionAt = s.tick + actionTicks;
+      if (plan && plan.hold) {
+        plan.hold = false;
+        plan.swapping = true;
+        game.input("hold");
+        return;
+      }
+      const p = s.player;
+      const path = plan && pathTo(s.arena, p.type, { x: p.pos.x, y: p.pos.y, rotation: p.rotation }, plan.key);
+      // no plan, a blocked path or too many tries: just drop
+      if (!path || ++attempts > MAX_ATTEMPTS || !path.length || (path.length === 1 && path[0] === "drop")) {
+        releaseSoft();
+        game.input("hard");
+        return;
+      }
+      if (path[0] === "drop") {
+        // fall to the floor before a tuck or spin
+        if (!softHeld) { softHeld = true; game.input("soft", true); }
+        return;
+      }
+      releaseSoft();
+      game.input(path[0]);
+    }
+
+    const offSpawn = game.on("spawn", planPiece);
+    const offStep = game.on("beforeStep", act);
+    const offReset = game.on("reset", () => { rng = seedRng(); plan = null; softHeld = false; });
+    planPiece();
+
+    return {
+      /* stop listening to the game (and let go of soft drop) */
+      detach() { releaseSoft(); offSpawn(); offStep(); offReset(); }
+    };
+  }
+
+  return {
+    CPU_LEVELS,
+    WEIGHTS,
+    bestMove,
+    columnHeights,
+    countHoles,
+    createCpuPlayer,
+    evaluateBoard,
+    findPlacements,
+    finesseFaults,
+    finesseKey,
+    finessePath,
+    finessePlacements,
+    pathTo,
+    placeOn,
+    rotationsOf,
+    spawnPosition
+  };
+});
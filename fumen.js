@@ -0,0 +1,423 @@
+/* ----------------------
+  Neon Tetris — fumen
+  DOM-free codec for fumen v115 strings (the community's field + comment
+  format) built on TetrisCore. Runs in the browser (as window.TetrisFumen,
+  after game-core.js) and in Node.
+
+  const pages = decode("v115@vhAAgH"); // [{ field, piece, comment, flags }]
+  const text = encode(pages);
+  const page = pageFromState(game.getState(), { align: "center" });
+  const setup = pageToSetup(pages, 0, { cols: 12, align: "left" }); // { board, queue, hold, title }
+-------------------------*/
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./game-core.js"));
+  else root.TetrisFumen = factory(root.TetrisCore);
+})(typeof self !== "undefined" ? self : this, function (TetrisCore) {
+  "use strict";
+
+  const { GARBAGE_ID, PIECE_IDS } = TetrisCore;
+
+  /* ------------------------
+     Format
+     A fumen field is 10 wide with 23 rows plus one garbage row under them.
+     Pages here keep it as `field` (23 rows, top to bottom) and `garbage`,
+     both holding our cell ids; piece positions use fumen's own coordinates
+     (x from the left, y up from the bottom row, on the rotation centre).
+  ---------------------------*/
+  const FUMEN_COLS = 10;
+  const FUMEN_ROWS = 23;
+  const FIELD_BLOCKS = (FUMEN_ROWS + 1) * FUMEN_COLS;
+  const ENCODE_TABLE = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+  const COMMENT_TABLE = " !\"#$%&'()*+,-./0123456789:;<=>?@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_`abcdefghijklmnopqrstuvwxyz{|}~";
+  const COMMENT_BASE = COMMENT_TABLE.length + 1;
+  const MAX_COMMENT = 4095;
+  // fumen's block numbering; index = fumen id
+  const FUMEN_BLOCKS = [null, "I", "L", "O", "Z", "T", "J", "S", "G"];
+  // fumen numbers rotations reverse, right, spawn, left; ours are spawn, R, 180, L
+  const ROTATION_CODES = [2, 1, 0, 3];
+  const ALIGNS = ["left", "center", "right"];
+
+  function toFumenId(id) {
+    if (!id) return 0;
+    if (id === GARBAGE_ID) return 8;
+    return FUMEN_BLOCKS.indexOf(TetrisCore.pieceType(id));
+  }
+
+  function fromFumenId(n) {
+    const name = FUMEN_BLOCKS[n];
+    if (!name) return 0;
+    return name === "G" ? GARBAGE_ID : PIECE_IDS[name];
+  }
+
+  function emptyRows(count) {
+    return Array.from({ length: count }, () => new Array(FUMEN_COLS).fill(0));
+  }
+
+  /* ------------------------
+     Pieces
+     Fumen cell offsets from the rotation centre in spawn orientation (y up);
+     the other states are quarter turns of these.
+  ---------------------------*/
+  const PIECE_OFFSETS = {
+    I: [[0, 0], [-1, 0], [1, 0], [2, 0]],
+    T: [[0, 0], [-1, 0], [1, 0], [0, 1]],
+    O: [[0, 0], [1, 0], [0, 1], [1, 1]],
+    L: [[0, 0], [-1, 0], [1, 0], [1, 1]],
+    J: [[0, 0], [-1, 0], [1, 0], [-1, 1]],
+    S: [[0, 0], [-1, 0], [0, 1], [1, 1]],
+    Z: [[0, 0], [1, 0], [0, 1], [-1, 1]]
+  };
+
+  function pieceOffsets(type, rotation) {
+    return PIECE_OFFSETS[type].map(([x, y]) => {
+      for (let i = 0; i < rotation; ++i) [x, y] = [y, -x];
+      return [x, y];
+    });
+  }
+
+  /* cells a fumen piece covers, as [x, y] in fumen coordinates */
+  function pieceCells(piece) {
+    return pieceOffsets(piece.type, piece.rotation).map(([dx, dy]) => [piece.x + dx, piece.y + dy]);
+  }
+
+  /* the fumen piece covering exactly `cells`, or null if the shape differs */
+  function pieceAt(type, rotation, cells) {
+    const order = (a, b) => a[1] - b[1] || a[0] - b[0];
+    const want = cells.slice().sort(order);
+    const offsets = pieceOffsets(type, rotation).sort(order);
+    const x = want[0][0] - offsets[0][0], y = want[0][1] - offsets[0][1];
+    const fits = offsets.every(([dx, dy], i) => want[i][0] === x + dx && want[i][1] === y + dy);
+    return fits ? { type, rotation, x, y } : null;
+  }
+
+  /* fumen's stored position is shifted for some pieces and states */
+  const POSITION_SHIFTS = {
+    O: [[0, -1], [0, 0], [1, 0], [1, -1]],
+    I: [[0, 0], [0, 0], [1, 0], [0, -1]],
+    S: [[0, -1], [-1, 0], [0, 0], [0, 0]],
+    Z: [[0, -1], [0, 0], [0, 0], [1, 0]]
+  };
+
+  function positionShift(piece) {
+    const shifts = POSITION_SHIFTS[piece.type];
+    return shifts ? shifts[piece.rotation] : [0, 0];
+  }
+
+  /* ------------------------
+     Values
+     Data is little-endian base 64: every number takes a fixed count of digits.
+  ---------------------------*/
+  function createReader(data) {
+    let index = 0;
+    return {
+      get done() { return index >= data.length; },
+      read(digits) {
+        let value = 0;
+        for (let i = 0, scale = 1; i < digits; ++i, scale *= 64) {
+          if (index >= data.length) throw new Error("Fumen data ends early");
+          const digit = ENCODE_TABLE.indexOf(data[index++]);
+          if (digit < 0) throw new Error("Invalid fumen character");
+          value += digit * scale;
+        }
+        return value;
+      }
+    };
+  }
+
+  function pushValue(out, value, digits) {
+    for (let i = 0; i < digits; ++i) {
+      out.push(value % 64);
+      value = Math.floor(value / 64);
+    }
+  }
+
+  /* ------------------------
+     Field updates between pages
+  ---------------------------*/
+  function copyPage(page) {
+    return { field: page.field.map(r => r.slice()), garbage: page.garbage.slice() };
+  }
+
+  /* what the next page starts from once this page's piece has locked */
+  function afterLock(page) {
+    const next = copyPage(page);
+    if (!page.flags.lock) return next;
+    if (page.piece) {
+      for (const [x, y] of pieceCells(page.piece)) {
+        const row = FUMEN_ROWS - 1 - y;
+        if (x >= 0 && x < FUMEN_COLS && row >= 0 && row < FUMEN_ROWS) next.field[row][x] = PIECE_IDS[page.piece.type];
+      }
+    }
+    const kept = next.field.filter(row => row.some(v => !v));
+    next.field = emptyRows(FUMEN_ROWS - kept.length).concat(kept);
+    if (page.flags.rise) {
+      next.field = next.field.slice(1).concat([next.garbage]);
+      next.garbage = new Array(FUMEN_COLS).fill(0);
+    }
+    if (page.flags.mirror) next.field.forEach(row => row.reverse());
+    return next;
+  }
+
+  /* cells in fumen order: top row first, the garbage row last */
+  function fieldCells(page) {
+    return [].concat(...page.field, page.garbage).map(toFumenId);
+  }
+
+  /* ------------------------
+     Decode
+  ---------------------------*/
+  function decodeComment(reader) {
+    const length = reader.read(2);
+    let text = "";
+    for (let i = 0; i < length; i += 4) {
+      let value = reader.read(5);
+      for (let j = 0; j < 4; ++j) {
+        text += COMMENT_TABLE[value % COMMENT_BASE] || "";
+        value = Math.floor(value / COMMENT_BASE);
+      }
+    }
+    return unescape(text.slice(0, length));
+  }
+
+  /* every page of a fumen string (a bare "v115@…" or a link holding one) */
+  function decode(text) {
+    const match = /[vmd]115@([A-Za-z0-9+/?]*)/.exec(String(text || ""));
+    if (!match) throw new Error("Not a v115 fumen");
+    const reader = createReader(match[1].replace(/\?/g, ""));
+    const pages = [];
+    let prev = { field: emptyRows(FUMEN_ROWS), garbage: new Array(FUMEN_COLS).fill(0) };
+    let repeat = 0;
+    let comment = "";
+    while (!reader.done) {
+      const page = copyPage(prev);
+      if (repeat > 0) repeat--;
+      else {
+        const cells = fieldCells(prev);
+        let unchanged = false;
+        for (let index = 0; index < FIELD_BLOCKS;) {
+          const run = reader.read(2);
+          const diff = Math.floor(run / FIELD_BLOCKS) - 8;
+          const count = run % FIELD_BLOCKS + 1;
+          if (diff === 0 && count === FIELD_BLOCKS) unchanged = true;
+          for (let i = 0; i < count && index < FIELD_BLOCKS; ++i, ++index) cells[index] += diff;
+        }
+        if (cells.some(v => v < 0 || v > 8)) throw new Error("Invalid fumen field");
+        page.field = emptyRows(FUMEN_ROWS).map((row, y) => row.map((_, x) => fromFumenId(cells[y * FUMEN_COLS + x])));
+        page.garbage = cells.slice(FUMEN_ROWS * FUMEN_COLS).map(fromFumenId);
+        if (unchanged) repeat = reader.read(1);
+      }
+
+      let action = reader.read(3);
+      const type = FUMEN_BLOCKS[action % 8]; action = Math.floor(action / 8);
+      const rotation = ROTATION_CODES.indexOf(action % 4); action = Math.floor(action / 4);
+      const position = action % FIELD_BLOCKS; action = Math.floor(action / FIELD_BLOCKS);
+      const flags = {
+        rise: action % 2 === 1,
+        mirror: Math.floor(action / 2) % 2 === 1,
+        colorize: Math.floor(action / 4) % 2 === 1,
+        lock: Math.floor(action / 16) % 2 === 0
+      };
+      if (Math.floor(action / 8) % 2 === 1) comment = decodeComment(reader);
+
+      page.piece = null;
+      if (type && type !== "G") {
+        const piece = { type, rotation, x: position % FUMEN_COLS, y: FUMEN_ROWS - 1 - Math.floor(position / FUMEN_COLS) };
+        const [sx, sy] = positionShift(piece);
+        piece.x += sx;
+        piece.y += sy;
+        page.piece = piece;
+      }
+      page.comment = comment;
+      page.flags = flags;
+      pages.push(page);
+      prev = afterLock(page);
+    }
+    return pages;
+  }
+
+  /* ------------------------
+     Encode
+  ---------------------------*/
+  function encodeComment(out, text) {
+    const escaped = escape(text).slice(0, MAX_COMMENT);
+    pushValue(out, escaped.length, 2);
+    for (let i = 0; i < escaped.length; i += 4) {
+      let value = 0;
+      for (let j = 3; j >= 0; --j) {
+        const index = i + j < escaped.length ? COMMENT_TABLE.indexOf(escaped[i + j]) : 0;
+        value = value * COMMENT_BASE + Math.max(0, index);
+      }
+      pushValue(out, value, 5);
+    }
+  }
+
+  /* a fumen string for pages shaped like decode()'s; a page without a field
+     carries on from the one before it, after that page's piece locked */
+  function encode(pages) {
+    const out = [];
+    let prev = { field: emptyRows(FUMEN_ROWS), garbage: new Array(FUMEN_COLS).fill(0) };
+    let repeatAt = -1;
+    let lastComment = "";
+    pages.forEach((source, index) => {
+      const page = {
+        field: source.field || prev.field,
+        garbage: source.garbage || prev.garbage,
+        piece: source.piece || null,
+        comment: source.comment === undefined ? lastComment : source.comment,
+        // like the reference encoder, only the first page asks for colours by default
+        flags: Object.assign({ lock: true, rise: false, mirror: false, colorize: index === 0 }, source.flags)
+      };
+
+      // run-length field diff; an unchanged field counts the pages after it
+      const before = fieldCells(prev), after = fieldCells(page);
+      const runs = [];
+      for (let i = 0; i < FIELD_BLOCKS; ++i) {
+        const diff = after[i] - before[i] + 8;
+        const last = runs[runs.length - 1];
+        if (last && last.diff === diff) last.count++;
+        else runs.push({ diff, count: 1 });
+      }
+      if (runs.length > 1 || runs[0].diff !== 8) {
+        for (const run of runs) pushValue(out, run.diff * FIELD_BLOCKS + run.count - 1, 2);
+        repeatAt = -1;
+      } else if (repeatAt < 0 || out[repeatAt] === 63) {
+        pushValue(out, 8 * FIELD_BLOCKS + FIELD_BLOCKS - 1, 2);
+        out.push(0);
+        repeatAt = out.length - 1;
+      } else out[repeatAt]++;
+
+      const piece = page.piece;
+      let position = 0, type = 0, rotation = 0;
+      if (piece) {
+        const [sx, sy] = positionShift(piece);
+        position = (FUMEN_ROWS - 1 - (piece.y - sy)) * FUMEN_COLS + piece.x - sx;
+        type = FUMEN_BLOCKS.indexOf(piece.type);
+        rotation = ROTATION_CODES[piece.rotation];
+      }
+      const hasComment = index === 0 ? page.comment !== "" : page.comment !== lastComment;
+      let action = page.flags.lock ? 0 : 1;
+      action = action * 2 + (hasComment ? 1 : 0);
+      action = action * 2 + (page.flags.colorize ? 1 : 0);
+      action = action * 2 + (page.flags.mirror ? 1 : 0);
+      action = action * 2 + (page.flags.rise ? 1 : 0);
+      action = ((action * FIELD_BLOCKS + position) * 4 + rotation) * 8 + type;
+      pushValue(out, action, 3);
+      if (hasComment) encodeComment(out, page.comment);
+      lastComment = page.comment;
+      prev = afterLock(page);
+    });
+
+    // fumen wraps long data with "?" so the first line is 47 characters
+    const data = out.map(v => ENCODE_TABLE[v]).join("");
+    const chunks = [data.slice(0, 42)];
+    for (let i = 42; i < data.length; i += 47) chunks.push(data.slice(i, i + 47));
+    return "v115@" + chunks.join("?");
+  }
+
+  /* ------------------------
+     Sequences
+     Fumen quizzes keep the queue in the comment: "#Q=[hold](current)next".
+  ---------------------------*/
+  function quizComment(hold, current, next) {
+    return `#Q=[${hold || ""}](${current || ""})${next.join("")}`;
+  }
+
+  function parseQuiz(comment) {
+    const match = /^#Q=\[([IOTSZJL]?)\]\(([IOTSZJL]?)\)([IOTSZJL]*)/.exec(comment || "");
+    if (!match) return null;
+    return { hold: match[1] || null, queue: (match[2] + match[3]).split("").filter(Boolean) };
+  }
+
+  /* the quiz after `type` is placed, as fumen plays it: the current piece, the
+     held one (swapping), or the next one when hold was empty (stocking the
+     current); any other piece leaves the quiz alone */
+  function advanceQuiz(quiz, type) {
+    let hold = quiz.hold, queue = quiz.queue;
+    if (type === queue[0]) queue = queue.slice(1);
+    else if (hold && type === hold) [hold, queue] = [queue[0] || null, queue.slice(1)];
+    else if (!hold && queue.length > 1 && type === queue[1]) [hold, queue] = [queue[0], queue.slice(2)];
+    if (!queue.length && hold) [hold, queue] = [null, [hold]];
+    return { hold, queue };
+  }
+
+  /* ------------------------
+     Our boards
+     Fumen is always 10 wide; a board of another width lines its columns up
+     with fumen's on the left, centre or right, cropping or padding the rest.
+  ---------------------------*/
+  function alignOffset(cols, align) {
+    if (align === "right") return cols - FUMEN_COLS;
+    if (align === "center") return Math.floor((cols - FUMEN_COLS) / 2);
+    return 0;
+  }
+
+  /* one page snapshotting a game: arena, falling piece and queue (as a quiz comment) */
+  function pageFromState(state, options = {}) {
+    const offset = alignOffset(state.cols, options.align);
+    const bottom = state.buffer + state.rows - 1;
+    const page = { field: emptyRows(FUMEN_ROWS), garbage: new Array(FUMEN_COLS).fill(0), piece: null };
+    const toFumen = (x, y) => [x - offset, bottom - y];
+    for (let row = 0; row < FUMEN_ROWS; ++row) {
+      const y = bottom - (FUMEN_ROWS - 1 - row);
+      if (y < 0) continue;
+      for (let x = 0; x < FUMEN_COLS; ++x) page.field[row][x] = state.arena[y][x + offset] || 0;
+    }
+    const player = state.player;
+    if (player) {
+      const cells = [];
+      player.matrix.forEach((r, y) => r.forEach((v, x) => {
+        if (v) cells.push(toFumen(player.pos.x + x, player.pos.y + y));
+      }));
+      const inside = cells.every(([x, y]) => x >= 0 && x < FUMEN_COLS && y >= 0 && y < FUMEN_ROWS);
+      if (inside) page.piece = pieceAt(player.type, player.rotation, cells);
+    }
+    const current = player ? player.type : state.queue[0];
+    const next = player ? state.queue : state.queue.slice(1);
+    page.comment = current ? quizComment(state.hold, current, next) : "";
+    return page;
+  }
+
+  /* the quiz standing at pages[index]: decode carries a comment forward
+     unchanged, so replay the pieces locked since the comment was written */
+  function quizAt(pages, index) {
+    let quiz = null;
+    for (let i = 0; i <= index; ++i) {
+      const page = pages[i];
+      if (i === 0 || page.comment !== pages[i - 1].comment) quiz = parseQuiz(page.comment);
+      if (i < index && quiz && page.piece && (!page.flags || page.flags.lock)) quiz = advanceQuiz(quiz, page.piece.type);
+    }
+    return quiz;
+  }
+
+  /* a puzzle setup from one page: its field, and the queue from a quiz
+     comment or else the pieces of this and the following pages */
+  function pageToSetup(pages, index, options = {}) {
+    const page = pages[index];
+    if (!page) throw new Error("No such fumen page");
+    const cols = options.cols || FUMEN_COLS;
+    const offset = alignOffset(cols, options.align);
+    const field = page.field.map(row => {
+      const out = new Array(cols).fill(0);
+      row.forEach((v, x) => { if (x + offset >= 0 && x + offset < cols) out[x + offset] = v; });
+      return out;
+    });
+    while (field.length && field[0].every(v => !v)) field.shift();
+    const quiz = quizAt(pages, index);
+    const queue = quiz ? quiz.queue : pages.slice(index).filter(p => p.piece).map(p => p.piece.type);
+    const title = quiz ? "" : page.comment.trim();
+    return { board: field, queue, hold: quiz ? quiz.hold : null, title };
+  }
+
+  return {
+    ALIGNS,
+    FUMEN_COLS,
+    FUMEN_ROWS,
+    decode,
+    encode,
+    pageFromState,
+    pageToSetup,
+    parseQuiz,
+    pieceCells,
+    quizComment
+  };
+});
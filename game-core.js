@@ -0,0 +1,1202 @@
+/* ----------------------
+  Neon Tetris — game core
+  DOM-free engine: board, pieces, 7-bag randomizer, SRS rotation, gravity
+  curves, guideline scoring and the fixed-step clock. It runs in the browser
+  (as window.TetrisCore) and in Node (require("./game-core.js")); the canvas
+  renderer and DOM HUD in script.js only call its API and subscribe to its
+  events.
+
+  const game = createGame({ cols: 10, rows: 20, seed: 42 });
+  game.on("lock", e => ...);
+  game.input("left");          // press + release
+  game.input("soft", true);    // press and hold ...
+  game.input("soft", false);   // ... and release
+  game.tick(16.7);             // advance the clock by real milliseconds
+  game.getState();             // read-only snapshot for rendering
+-------------------------*/
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.TetrisCore = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  /* ------------------------
+     Constants
+  ---------------------------*/
+  const DEFAULT_COLS = 10;
+  const DEFAULT_ROWS = 20; // visible rows
+  const DEFAULT_BUFFER = 20; // hidden rows above the visible field
+  const QUEUE_SIZE = 6; // upcoming pieces kept; the front end previews up to this many
+  const TICK_MS = 1000 / 60;
+  const MAX_FRAME_MS = 250; // don't try to catch up after long stalls
+
+  // Gameplay actions, in the order replays encode them
+  const ACTIONS = ["left", "right", "soft", "hard", "cw", "ccw", "180", "hold"];
+
+  /* Game modes: lineGoal / timeLimit end the run as a win, levelCap stops level-ups */
+  const MODES = {
+    endless: { label: "Endless" },
+    marathon: { label: "Marathon", lineGoal: 150, levelCap: 15 },
+    sprint: { label: "40-Line Sprint", lineGoal: 40 },
+    ultra: { label: "Ultra", timeLimit: 2 * 60 * 1000 },
+    // one piece at a time on an empty board: the stack is wiped after every lock
+    finesse: { label: "Finesse Trainer", clearBoard: true },
+    // plays the puzzle set with configure({ puzzle }) until its goal is met or its pieces run out
+    puzzle: { label: "Puzzle", puzzle: true },
+    // versus modes are won/lost by the front end when a board tops out
+    versus: { label: "Versus CPU" },
+    duel: { label: "2 Players" },
+    online: { label: "Online 1v1" }
+  };
+
+  const DEFAULT_HANDLING = {
+    das: 160, // ms before auto-repeat begins
+    arr: 60, // ms between auto-shifts; 0 = instant (straight to the wall)
+    dasCut: 0, // ms auto-shift holds off after a rotation or a new piece; 0 = off
+    softDrop: 20, // gravity multiplier while soft-dropping; 0 = instant (straight to the floor)
+    lockDelay: 500, // ms before a grounded piece locks
+    moveResets: 15, // moves/rotations that may restart lock delay, per piece and lowest row
+    irs: false, // initial rotation: a rotate key held as a piece spawns turns it
+    ihs: false // initial hold: the hold key held as a piece spawns holds it
+  };
+
+  /* ------------------------
+     Pieces
+  ---------------------------*/
+  const PIECE_IDS = { I:1, O:2, T:3, S:4, Z:5, J:6, L:7 };
+  const SHAPES = {
+    T: [[0,1,0],[1,1,1],[0,0,0]],
+    O: [[1,1],[1,1]],
+    L: [[0,0,1],[1,1,1],[0,0,0]],
+    J: [[1,0,0],[1,1,1],[0,0,0]],
+    I: [[0,0,0,0],[1,1,1,1],[0,0,0,0],[0,0,0,0]],
+    S: [[0,1,1],[1,1,0],[0,0,0]],
+    Z: [[1,1,0],[0,1,1],[0,0,0]]
+  };
+
+  function createMatrix(w, h) {
+    return Array.from({ length: h }, () => Array(w).fill(0));
+  }
+
+  /* spawn-orientation matrix for a piece type, cells filled with its colour id */
+  function createPiece(type) {
+    const shape = SHAPES[type];
+    if (!shape) return null;
+    const id = PIECE_IDS[type];
+    return shape.map(r => r.map(v => (v ? id : 0)));
+  }
+
+  /* where a piece enters: centred (rounding left) in the two rows just above
+     the visible field; buffer = hidden rows on top of the arena */
+  function spawnPosition(cols, buffer, type) {
+    const width = SHAPES[type][0].length;
+    return { x: Math.floor((cols - width) / 2), y: buffer - 2 };
+  }
+
+  function pieceType(id) {
+    return Object.keys(PIECE_IDS)[Object.values(PIECE_IDS).indexOf(id)];
+  }
+
+  /* ------------------------
+     Random (seedable 7-bag)
+  ---------------------------*/
+  /* mulberry32: small, fast, seedable PRNG returning floats in [0, 1) */
+  function createRng(seed) {
+    let a = seed >>> 0;
+    return function () {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+  }
+
+  /* numeric seeds are used as-is, anything else is hashed (FNV-1a) */
+  function parseSeed(text) {
+    const str = String(text).trim();
+    if (/^\d+$/.test(str)) return Number(str) >>> 0;
+    let h = 0x811C9DC5;
+    for (let i = 0; i < str.length; ++i) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  function shuffleBag(rng) {
+    const bag = "ILJOTSZ".split('');
+    for (let i = bag.length - 1; i > 0; --i) {
+      const j = Math.floor(rng() * (i + 1));
+      [bag[i], bag[j]] = [bag[j], bag[i]];
+    }
+    return bag;
+  }
+
+  /* endless 7-bag piece stream */
+  function createBag(rng) {
+    let bag = [];
+    return function next() {
+      if (!bag.length) bag = shuffleBag(rng);
+      return bag.shift();
+    };
+  }
+
+  /* ------------------------
+     Collision & rotation
+  ---------------------------*/
+  /* true if matrix at (px, py) hits a wall, the floor or a filled cell; rows above 0 are open */
+  function collide(arena, px, py, matrix) {
+    const rows = arena.length, cols = arena[0].length;
+    for (let y = 0; y < matrix.length; ++y) {
+      for (let x = 0; x < matrix[y].length; ++x) {
+        if (!matrix[y][x]) continue;
+        const ax = x + px, ay = y + py;
+        if (ax < 0 || ax >= cols || ay >= rows) return true;
+        if (ay >= 0 && arena[ay][ax]) return true;
+      }
+    }
+    return false;
+  }
+
+  /* rotate matrix clockwise (dir = 1) or ccw (dir = -1) in place */
+  function rotateMatrix(matrix, dir) {
+    for (let y = 0; y < matrix.length; ++y)
+      for (let x = 0; x < y; ++x)
+        [matrix[x][y], matrix[y][x]] = [matrix[y][x], matrix[x][y]];
+    if (dir > 0) matrix.forEach(row => row.reverse());
+    else matrix.reverse();
+  }
+
+  /* copy of matrix turned by dir quarter turns (1, -1 or 2) */
+  function rotated(matrix, dir) {
+    const out = matrix.map(r => r.slice());
+    if (dir === 2) { rotateMatrix(out, 1); rotateMatrix(out, 1); }
+    else rotateMatrix(out, dir);
+    return out;
+  }
+
+  /* SRS wall kicks
+     Offsets are (x, y) with y pointing UP, exactly as the reference tables are
+     written; the engine flips y when applying them to its y-down arena.
+     Rotation states: 0 = spawn, 1 = R (cw), 2 = 180, 3 = L (ccw). */
+  const SRS_KICKS_JLSTZ = {
+    "0>1": [[0,0],[-1,0],[-1, 1],[0,-2],[-1,-2]],
+    "1>0": [[0,0],[ 1,0],[ 1,-1],[0, 2],[ 1, 2]],
+    "1>2": [[0,0],[ 1,0],[ 1,-1],[0, 2],[ 1, 2]],
+    "2>1": [[0,0],[-1,0],[-1, 1],[0,-2],[-1,-2]],
+    "2>3": [[0,0],[ 1,0],[ 1, 1],[0,-2],[ 1,-2]],
+    "3>2": [[0,0],[-1,0],[-1,-1],[0, 2],[-1, 2]],
+    "3>0": [[0,0],[-1,0],[-1,-1],[0, 2],[-1, 2]],
+    "0>3": [[0,0],[ 1,0],[ 1, 1],[0,-2],[ 1,-2]]
+  };
+  const SRS_KICKS_I = {
+    "0>1": [[0,0],[-2,0],[ 1,0],[-2,-1],[ 1, 2]],
+    "1>0": [[0,0],[ 2,0],[-1,0],[ 2, 1],[-1,-2]],
+    "1>2": [[0,0],[-1,0],[ 2,0],[-1, 2],[ 2,-1]],
+    "2>1": [[0,0],[ 1,0],[-2,0],[ 1,-2],[-2, 1]],
+    "2>3": [[0,0],[ 2,0],[-1,0],[ 2, 1],[-1,-2]],
+    "3>2": [[0,0],[-2,0],[ 1,0],[-2,-1],[ 1, 2]],
+    "3>0": [[0,0],[ 1,0],[-2,0],[ 1,-2],[-2, 1]],
+    "0>3": [[0,0],[-1,0],[ 2,0],[-1, 2],[ 2,-1]]
+  };
+  // SRS itself has no 180° rotation; these are the common SRS+ 180° kicks
+  const SRS_KICKS_180 = {
+    "0>2": [[0,0],[ 0, 1],[ 1, 1],[-1, 1],[ 1,0],[-1,0]],
+    "2>0": [[0,0],[ 0,-1],[-1,-1],[ 1,-1],[-1,0],[ 1,0]],
+    "1>3": [[0,0],[ 1, 0],[ 1, 2],[ 1, 1],[ 0,2],[ 0,1]],
+    "3>1": [[0,0],[-1, 0],[-1, 2],[-1, 1],[ 0,2],[ 0,1]]
+  };
+
+  /* kick offsets for a piece type going from rotation state `from` to `to` */
+  function getKicks(type, from, to) {
+    const key = `${from}>${to}`;
+    if (type === "O") return [[0, 0]];
+    if (SRS_KICKS_180[key]) return SRS_KICKS_180[key];
+    return (type === "I" ? SRS_KICKS_I : SRS_KICKS_JLSTZ)[key] || [[0, 0]];
+  }
+
+  /* ------------------------
+     Speed curves (level -> gravity in cells/sec)
+  ---------------------------*/
+  const FRAME_RATE = 60;
+  const MAX_GRAVITY = 20 * FRAME_RATE; // 20G: twenty cells per frame, i.e. instant
+
+  // NES frames-per-cell by level (NTSC, 60.0988 fps); 29+ is 1 frame per cell
+  const NES_FRAMES = [48, 43, 38, 33, 28, 23, 18, 13, 8, 6, 5, 5, 5, 4, 4, 4, 3, 3, 3,
+    2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 1];
+  // TGM internal gravity in 1/256 G, as [internal level, gravity] steps
+  const TGM_STEPS = [
+    [0, 4], [30, 6], [35, 8], [40, 10], [50, 12], [60, 16], [70, 32], [80, 48],
+    [90, 64], [100, 80], [120, 96], [140, 112], [160, 128], [170, 144], [200, 4],
+    [220, 32], [230, 64], [233, 96], [236, 128], [239, 160], [243, 192], [247, 224],
+    [251, 256], [300, 512], [330, 768], [360, 1024], [400, 1280], [420, 1024],
+    [450, 768], [500, 5120]
+  ];
+  const TGM_LEVELS_PER_LEVEL = 25; // our level 20 maps to TGM level 500 (20G)
+
+  const SPEED_CURVES = {
+    // Tetris guideline: (0.8 - (L - 1) * 0.007) ^ (L - 1) seconds per row, L from 1
+    guideline: lvl => {
+      const L = Math.min(lvl, 19) + 1; // already past 20G by then; keeps the base positive
+      return 1 / Math.pow(0.8 - (L - 1) * 0.007, L - 1);
+    },
+    nes: lvl => 60.0988 / NES_FRAMES[Math.min(lvl, NES_FRAMES.length - 1)],
+    tgm: lvl => {
+      const internal = lvl * TGM_LEVELS_PER_LEVEL;
+      let g = TGM_STEPS[0][1];
+      for (const [from, value] of TGM_STEPS) if (internal >= from) g = value;
+      return g / 256 * FRAME_RATE;
+    }
+  };
+
+  /* gravity (cells/sec) for a level on a speed curve; "fixed" uses fixedGravity */
+  function gravityFor(curve, level, fixedGravity) {
+    const cps = curve === "fixed" || !SPEED_CURVES[curve] ? fixedGravity : SPEED_CURVES[curve](level);
+    return Math.min(MAX_GRAVITY, cps);
+  }
+
+  /* lock delay shrinks from level 15 up, bottoming out at 40% of the base */
+  function lockDelayFor(level, base) {
+    if (level <= 15) return base;
+    return Math.max(base * 0.4, base - (level - 15) * base * 0.1);
+  }
+
+  /* ------------------------
+     Scoring (guideline)
+     Every lock is classified from the lines it cleared, whether the last
+     successful action was a T rotation (3-corner rule) and whether the board
+     ended up empty. Points are multiplied by (level + 1).
+  ---------------------------*/
+  const LINE_POINTS = [0, 100, 300, 500, 800];
+  const TSPIN_POINTS = [400, 800, 1200, 1600];
+  const TSPIN_MINI_POINTS = [100, 200, 400];
+  const PERFECT_CLEAR_POINTS = [0, 800, 1200, 1800, 2000];
+  const B2B_PERFECT_TETRIS = 3200;
+  const B2B_MULT = 1.5;
+  const COMBO_POINTS = 50;
+  const LINE_NAMES = ["", "SINGLE", "DOUBLE", "TRIPLE", "TETRIS"];
+
+  /* 3-corner rule for a T about to lock. Returns null, "mini" or "full". */
+  function detectTSpin(arena, piece) {
+    if (piece.type !== "T" || piece.lastAction !== "rotate") return null;
+    const rows = arena.length, cols = arena[0].length;
+    const cx = piece.pos.x + 1, cy = piece.pos.y + 1;
+    const filled = (x, y) => x < 0 || x >= cols || y >= rows || (y >= 0 && arena[y][x] !== 0);
+    // corners in order: top-left, top-right, bottom-right, bottom-left
+    const corners = [
+      filled(cx - 1, cy - 1), filled(cx + 1, cy - 1),
+      filled(cx + 1, cy + 1), filled(cx - 1, cy + 1)
+    ];
+    if (corners.filter(Boolean).length < 3) return null;
+    // the two corners on the side the T points at, per rotation state
+    const front = [[0, 1], [1, 2], [2, 3], [3, 0]][piece.rotation];
+    if (corners[front[0]] && corners[front[1]]) return "full";
+    // the last SRS kick (e.g. a TST twist) always upgrades to a full T-spin
+    return piece.lastKick === 4 ? "full" : "mini";
+  }
+
+  /* points (before level multiplier and combo) and HUD label for one lock */
+  function classifyClear(cleared, tspin, perfectClear, backToBack) {
+    let points, name;
+    if (tspin === "full") {
+      points = TSPIN_POINTS[cleared];
+      name = "T-SPIN" + (cleared ? " " + LINE_NAMES[cleared] : "");
+    } else if (tspin === "mini") {
+      points = TSPIN_MINI_POINTS[Math.min(cleared, 2)];
+      name = "T-SPIN MINI" + (cleared ? " " + LINE_NAMES[cleared] : "");
+    } else {
+      points = LINE_POINTS[cleared];
+      name = LINE_NAMES[cleared];
+    }
+    // tetrises and spins that clear lines keep a back-to-back chain going
+    const difficult = cleared > 0 && (cleared === 4 || tspin !== null);
+    const b2b = difficult && backToBack;
+    if (b2b) {
+      points *= B2B_MULT;
+      name = "B2B " + name;
+    }
+    if (perfectClear) {
+      points += b2b && cleared === 4 ? B2B_PERFECT_TETRIS : PERFECT_CLEAR_POINTS[cleared];
+      name += " PERFECT CLEAR";
+    }
+    return { points, name, difficult, b2b };
+  }
+
+  /* ------------------------
+     Attack (garbage sent per lock)
+     lines / tspin / tspinMini are indexed by lines cleared, combo by REN count
+     (0 = first clear of a chain); b2b is added on back-to-back clears.
+  ---------------------------*/
+  const GARBAGE_ID = 8;
+  const ATTACK_TABLES = {
+    guideline: {
+      label: "Guideline",
+      lines: [0, 0, 1, 2, 4],
+      tspin: [0, 2, 4, 6],
+      tspinMini: [0, 0, 1],
+      b2b: 1,
+      combo: [0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 4, 5],
+      perfectClear: 10
+    },
+    classic: {
+      label: "Classic (lines - 1)",
+      lines: [0, 0, 1, 2, 4],
+      tspin: [0, 0, 1, 2],
+      tspinMini: [0, 0, 1],
+      b2b: 0,
+      combo: [0],
+      perfectClear: 0
+    },
+    aggressive: {
+      label: "Aggressive",
+      lines: [0, 1, 2, 3, 5],
+      tspin: [1, 3, 5, 7],
+      tspinMini: [0, 1, 2],
+      b2b: 2,
+      combo: [0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6],
+      perfectClear: 10
+    }
+  };
+
+  /* garbage lines one lock is worth under an attack table */
+  function attackFor(table, lock) {
+    if (!lock.cleared) return 0;
+    let lines;
+    if (lock.tspin === "full") lines = table.tspin[lock.cleared];
+    else if (lock.tspin === "mini") lines = table.tspinMini[Math.min(lock.cleared, 2)];
+    else lines = table.lines[lock.cleared];
+    if (lock.b2b) lines += table.b2b;
+    lines += table.combo[Math.min(lock.combo, table.combo.length - 1)] || 0;
+    if (lock.perfectClear) lines += table.perfectClear;
+    return lines;
+  }
+
+  /* ------------------------
+     Puzzles
+     A fixed start for the puzzle mode: { board, queue, hold, goal }.
+     board holds the lowest visible rows, top to bottom, as cell ids (PIECE_IDS
+     values or GARBAGE_ID); queue is every piece that will come, and hold one
+     already held (or null). goal is { type, lines, pieces }:
+       "lines"  clear `lines` lines in total
+       "tetris" clear four lines at once
+       "tspin"  a (full) T-spin clearing `lines` lines
+       "pc"     a perfect clear
+     with pieces > 0 limiting how many pieces may be placed.
+  ---------------------------*/
+  const PUZZLE_GOALS = ["lines", "tetris", "tspin", "pc"];
+
+  function clampInt(value, min, max, fallback) {
+    const n = Math.floor(Number(value));
+    return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+  }
+
+  /* a checked copy of a puzzle, or null if it has no pieces to play */
+  function normalizePuzzle(puzzle) {
+    if (!puzzle || typeof puzzle !== "object") return null;
+    const board = (Array.isArray(puzzle.board) ? puzzle.board : [])
+      .filter(Array.isArray)
+      .map(row => row.map(v => (Number.isInteger(v) && v >= 0 && v <= GARBAGE_ID ? v : 0)));
+    const queue = (Array.isArray(puzzle.queue) ? puzzle.queue : []).filter(type => PIECE_IDS[type]);
+    const hold = PIECE_IDS[puzzle.hold] ? puzzle.hold : null;
+    if (!queue.length && !hold) return null;
+    const goal = puzzle.goal || {};
+    const type = PUZZLE_GOALS.indexOf(goal.type) >= 0 ? goal.type : "lines";
+    return {
+      board, queue, hold,
+      goal: {
+        type,
+        lines: clampInt(goal.lines, 1, type === "tspin" ? 3 : 99, type === "tspin" ? 2 : 4),
+        pieces: clampInt(goal.pieces, 0, 99, 0)
+      }
+    };
+  }
+
+  /* whether a lock (with the game's running line total) completes a goal */
+  function goalMet(goal, lock, lines) {
+    switch (goal.type) {
+      case "lines": return lines >= goal.lines;
+      case "tetris": return lock.cleared === 4;
+      case "tspin": return lock.tspin === "full" && lock.cleared === goal.lines;
+      case "pc": return lock.perfectClear;
+      default: return false;
+    }
+  }
+
+  /* ------------------------
+     Events
+  ---------------------------*/
+  function createEmitter() {
+    const listeners = {};
+    return {
+      on(name, fn) {
+        (listeners[name] || (listeners[name] = [])).push(fn);
+        return () => this.off(name, fn);
+      },
+      off(name, fn) {
+        if (listeners[name]) listeners[name] = listeners[name].filter(f => f !== fn);
+      },
+      emit(name, payload) {
+        (listeners[name] || []).slice().forEach(fn => fn(payload));
+      }
+    };
+  }
+
+  /* ------------------------
+     Game
+     createGame(options) -> game
+       options: { cols, rows, buffer, partialLockOut, seed, mode, speedCurve,
+                  fixedGravity, handling, attackTable, puzzle }
+     rows counts the visible field; the arena has `buffer` hidden rows on top
+     of it, so arena row `buffer` is the first visible one. A game ends on
+     block out (a new piece overlaps the stack), lock out (a piece locks
+     wholly above the visible field; with partialLockOut, partly above) or
+     top out (garbage pushes blocks off the top of the arena). Puzzles also
+     end when their goal is met or their pieces run out, and can undo().
+     Events: reset, spawn, move, rotate, hardDrop, hold, lock, clear,
+             levelUp, attack, garbage, gameOver, pause, input, beforeStep, undo
+  ---------------------------*/
+  function createGame(options = {}) {
+    const emitter = createEmitter();
+    const config = {
+      mode: MODES[options.mode] ? options.mode : "endless",
+      speedCurve: options.speedCurve || "guideline",
+      fixedGravity: options.fixedGravity || 1,
+      attackTable: ATTACK_TABLES[options.attackTable] ? options.attackTable : "guideline",
+      handling: Object.assign({}, DEFAULT_HANDLING, options.handling),
+      cols: options.cols || DEFAULT_COLS,
+      rows: options.rows || DEFAULT_ROWS,
+      buffer: options.buffer != null ? options.buffer : DEFAULT_BUFFER,
+      partialLockOut: options.partialLockOut === true,
+      puzzle: normalizePuzzle(options.puzzle)
+    };
+
+    const state = {
+      cols: config.cols,
+      rows: config.rows,
+      buffer: config.buffer,
+      seed: 0,
+      arena: null,
+      player: null,
+      queue: [],
+      hold: null,
+      holdUsed: false,
+      score: 0,
+      lines: 0,
+      level: 0,
+      combo: -1, // -1 = no active combo, 0 = first clear, 1+ = REN count
+      backToBack: false,
+      mode: config.mode,
+      pieces: 0, // pieces locked
+      clears: {}, // lock label (e.g. "TETRIS", "T-SPIN DOUBLE") -> count
+      pendingGarbage: [], // incoming chunks (line counts), oldest first
+      attackSent: 0,
+      gameOver: false,
+      won: false,
+      paused: false,
+      tick: 0,
+      softDrop: false,
+      das: { left: false, right: false, dir: null, nextMoveAt: 0 },
+      held: { cw: false, ccw: false, "180": false, hold: false }, // for IRS / IHS
+      lockTimer: 0,
+      lockResets: 0,
+      lowestY: 0,
+      onGround: false,
+      dropAccumulator: 0 // ms towards the next gravity step
+    };
+    let nextPiece = null;
+    let garbageRng = null;
+    let puzzle = null; // the puzzle in play, if any
+    let sequenceIndex = 0; // next piece of the puzzle's queue
+    let history = []; // puzzle snapshots, one per spawn, for undo
+    let tickAccumulator = 0;
+
+    function gameTime() { return state.tick * TICK_MS; }
+
+    function gravity() {
+      const g = gravityFor(config.speedCurve, state.level, config.fixedGravity);
+      if (!state.softDrop) return g;
+      const factor = config.handling.softDrop;
+      return factor > 0 ? Math.min(MAX_GRAVITY, g * factor) : MAX_GRAVITY;
+    }
+
+    function fits(x, y, matrix) {
+      return !collide(state.arena, x, y, matrix);
+    }
+
+    /* ---- lifecycle ---- */
+    function reset(seed = options.seed != null ? options.seed : randomSeed()) {
+      state.seed = seed >>> 0;
+      nextPiece = createBag(createRng(state.seed));
+      garbageRng = createRng(state.seed ^ 0x9E3779B9);
+      state.cols = config.cols;
+      state.rows = config.rows;
+      state.buffer = config.buffer;
+      state.arena = createMatrix(state.cols, state.buffer + state.rows);
+      puzzle = MODES[config.mode].puzzle ? config.puzzle : null;
+      history = [];
+      if (puzzle) {
+        sequenceIndex = 0;
+        nextPiece = () => puzzle.queue[sequenceIndex++];
+        // rows beyond the visible field are dropped from the top
+        const rows = puzzle.board.slice(-state.rows);
+        rows.forEach((row, i) => {
+          const y = state.arena.length - rows.length + i;
+          for (let x = 0; x < state.cols; ++x) state.arena[y][x] = row[x] || 0;
+        });
+      }
+      state.queue = [];
+      state.hold = null;
+      state.holdUsed = false;
+      state.score = 0;
+      state.lines = 0;
+      state.level = 0;
+      state.combo = -1;
+      state.backToBack = false;
+      state.mode = config.mode;
+      state.pieces = 0;
+      state.clears = {};
+      state.pendingGarbage = [];
+      state.attackSent = 0;
+      state.gameOver = false;
+      state.won = false;
+      state.paused = false;
+      state.tick = 0;
+      state.softDrop = false;
+      state.das = { left: false, right: false, dir: null, nextMoveAt: 0 };
+      state.held = { cw: false, ccw: false, "180": false, hold: false };
+      state.dropAccumulator = 0;
+      tickAccumulator = 0;
+      if (puzzle) state.hold = puzzle.hold;
+      refillQueue();
+      emitter.emit("reset", { seed: state.seed });
+      spawn(state.queue.shift());
+      return game;
+    }
+
+    /* a puzzle's sequence runs out; the bag never does */
+    function refillQueue() {
+      while (state.queue.length < QUEUE_SIZE) {
+        const type = nextPiece();
+        if (!type) break;
+        state.queue.push(type);
+      }
+    }
+
+    function spawn(type) {
+      refillQueue();
+      // once the queue is empty the held piece is the last one
+      if (!type && state.hold) {
+        type = state.hold;
+        state.hold = null;
+        state.holdUsed = true;
+      }
+      if (!type) { endGame(false, "pieces"); return; }
+      const matrix = createPiece(type);
+      state.player = {
+        type,
+        id: PIECE_IDS[type],
+        matrix,
+        pos: spawnPosition(state.cols, state.buffer, type),
+        rotation: 0,
+        lastAction: null,
+        lastKick: 0
+      };
+      state.lockTimer = 0;
+      state.lockResets = 0;
+      state.lowestY = state.player.pos.y;
+      state.onGround = false;
+      const h = config.handling;
+      // IHS: holding hold as the piece appears swaps it out before it is ever seen
+      if (h.ihs && state.held.hold && !state.holdUsed && holdSwap()) return;
+      // recorded after IHS, so a swapped-out piece leaves no undo step of its own
+      if (puzzle) history.push(snapshot(type));
+      emitter.emit("spawn", { type });
+      // IRS: a held rotate key turns the piece as it enters, which can dodge a block out
+      if (h.irs) {
+        const dir = state.held.cw ? 1 : state.held.ccw ? -1 : state.held["180"] ? 2 : 0;
+        if (dir) rotate(dir);
+      }
+      dasCut();
+      const p = state.player;
+      // block out: the new piece overlaps the stack
+      if (!fits(p.pos.x, p.pos.y, p.matrix)) { endGame(false, "blockout"); return; }
+      // then it drops straight into view if nothing is in the way
+      if (fits(p.pos.x, p.pos.y + 1, p.matrix)) {
+        p.pos.y++;
+        state.lowestY = p.pos.y;
+      }
+    }
+
+    /* end of run stats, also the payload of the gameOver event */
+    function summary() {
+      const timeMs = gameTime();
+      return {
+        mode: state.mode,
+        won: state.won,
+        score: state.score,
+        lines: state.lines,
+        level: state.level,
+        seed: state.seed,
+        ticks: state.tick,
+        timeMs,
+        pieces: state.pieces,
+        pps: timeMs > 0 ? state.pieces / (timeMs / 1000) : 0,
+        attackSent: state.attackSent,
+        clears: Object.assign({}, state.clears)
+      };
+    }
+
+    /* won: the mode's goal was reached (or the opponent fell);
+       reason: "goal" | "time" | "blockout" | "lockout" | "topout" | "pieces" | "opponent" | "forfeit" | "disconnect" */
+    function endGame(won, reason) {
+      if (state.gameOver) return;
+      state.gameOver = true;
+      state.won = won;
+      emitter.emit("gameOver", Object.assign(summary(), { reason }));
+    }
+
+    /* ---- movement ---- */
+    function canAct() {
+      return state.player && !state.gameOver && !state.paused;
+    }
+
+    /* a successful move or rotation on the ground restarts lock delay, at
+       most moveResets times; reaching a new lowest row earns the resets back */
+    function touchGround() {
+      if (!state.onGround || state.lockResets >= config.handling.moveResets) return;
+      state.lockResets++;
+      state.lockTimer = 0;
+      state.onGround = false;
+    }
+
+    function move(dir) {
+      const p = state.player;
+      if (!canAct() || !fits(p.pos.x + dir, p.pos.y, p.matrix)) return false;
+      p.pos.x += dir;
+      p.lastAction = "move";
+      touchGround();
+      emitter.emit("move", { dir });
+      return true;
+    }
+
+    /* rotate by dir quarter turns: 1 = cw, -1 = ccw, 2 = 180° */
+    function rotate(dir) {
+      if (!canAct()) return false;
+      const p = state.player;
+      const from = p.rotation;
+      const to = (from + dir + 4) % 4;
+
+      // O pieces are rotation-symmetric: only the state changes, never the position
+      if (p.type === "O") {
+        p.rotation = to;
+        p.lastAction = "rotate";
+        p.lastKick = 0;
+        emitter.emit("rotate", { dir, kick: 0 });
+        return true;
+      }
+
+      const matrix = rotated(p.matrix, dir);
+      const kicks = getKicks(p.type, from, to);
+      for (let i = 0; i < kicks.length; ++i) {
+        const x = p.pos.x + kicks[i][0];
+        const y = p.pos.y - kicks[i][1];
+        if (fits(x, y, matrix)) {
+          p.matrix = matrix;
+          p.pos.x = x;
+          p.pos.y = y;
+          p.rotation = to;
+          p.lastAction = "rotate";
+          p.lastKick = i;
+          // reset ground/lock because rotation moved piece
+          touchGround();
+          dasCut();
+          emitter.emit("rotate", { dir, kick: i });
+          return true;
+        }
+      }
+      // every kick collided: rotation fails and the piece stays put
+      return false;
+    }
+
+    function ghostY() {
+      const p = state.player;
+      if (!p) return 0;
+      let y = p.pos.y;
+      while (fits(p.pos.x, y + 1, p.matrix)) y++;
+      return y;
+    }
+
+    function hardDrop() {
+      if (!canAct()) return false;
+      const p = state.player;
+      const drop = ghostY() - p.pos.y;
+      p.pos.y += drop;
+      if (drop > 0) p.lastAction = "drop";
+      state.score += drop * 2;
+      emitter.emit("hardDrop", { distance: drop, type: p.type, x: p.pos.x, y: p.pos.y, matrix: p.matrix });
+      lockPiece();
+      return true;
+    }
+
+    function holdSwap() {
+      if (!canAct() || state.holdUsed) return false;
+      const current = state.player.type;
+      const next = state.hold || state.queue.shift();
+      if (!next) return false; // nothing left to swap in
+      state.hold = current;
+      // used before the spawn, so IHS on the swapped-in piece can't hold again
+      state.holdUsed = true;
+      spawn(next);
+      emitter.emit("hold", { type: state.hold });
+      return true;
+    }
+
+    /* ---- locking ---- */
+    function mergeToArena() {
+      const p = state.player;
+      for (let y = 0; y < p.matrix.length; ++y) {
+        for (let x = 0; x < p.matrix[y].length; ++x) {
+          if (!p.matrix[y][x]) continue;
+          const ax = x + p.pos.x, ay = y + p.pos.y;
+          if (ay >= 0 && ay < state.arena.length && ax >= 0 && ax < state.cols) {
+            state.arena[ay][ax] = p.matrix[y][x];
+          }
+        }
+      }
+    }
+
+    /* remove full rows; returns them top to bottom as { y, cells } (y before the clear) */
+    function sweep() {
+      const arena = state.arena;
+      const full = [];
+      for (let y = 0; y < arena.length; ++y) {
+        if (arena[y].every(v => v !== 0)) full.push({ y, cells: arena[y].slice() });
+      }
+      // top down, so the rows below each removal keep their index
+      for (const row of full) {
+        arena.splice(row.y, 1);
+        arena.unshift(new Array(state.cols).fill(0));
+      }
+      return full;
+    }
+
+    /* lock out: every cell (or with partialLockOut, any cell) above the visible field */
+    function lockedOut(p) {
+      let above = 0, total = 0;
+      p.matrix.forEach((row, y) => row.forEach(v => {
+        if (!v) return;
+        total++;
+        if (p.pos.y + y < state.buffer) above++;
+      }));
+      return config.partialLockOut ? above > 0 : above === total;
+    }
+
+    /* merge the active piece, clear lines, score and bring in the next piece */
+    function lockPiece() {
+      const p = state.player;
+      if (puzzle) history[history.length - 1].locked = true;
+      const tspin = detectTSpin(state.arena, p);
+      const lockOut = lockedOut(p);
+      mergeToArena();
+      if (lockOut) {
+        state.pieces++;
+        endGame(false, "lockout");
+        return;
+      }
+      const rows = sweep();
+      const cleared = rows.length;
+      const perfectClear = cleared > 0 && state.arena.every(row => row.every(v => v === 0));
+      const result = classifyClear(cleared, tspin, perfectClear, state.backToBack);
+
+      if (cleared > 0) {
+        state.combo++;
+        result.points += COMBO_POINTS * state.combo;
+        state.backToBack = result.difficult;
+      } else {
+        state.combo = -1;
+      }
+      state.score += Math.floor(result.points * (state.level + 1));
+
+      const mode = MODES[state.mode];
+      const prevLevel = state.level;
+      state.lines += cleared;
+      state.level = Math.floor(state.lines / 10);
+      if (mode.levelCap !== undefined) state.level = Math.min(mode.levelCap, state.level);
+      state.pieces++;
+      if (result.name) state.clears[result.name] = (state.clears[result.name] || 0) + 1;
+
+      const event = {
+        type: p.type, x: p.pos.x, y: p.pos.y, matrix: p.matrix, cleared, rows, tspin, perfectClear,
+        name: result.name, b2b: result.b2b, combo: state.combo, points: result.points
+      };
+      emitter.emit("lock", event);
+      if (cleared > 0) emitter.emit("clear", event);
+      if (state.level !== prevLevel) emitter.emit("levelUp", { level: state.level });
+
+      // clears cancel incoming garbage first and send the rest; a lock without a clear lets it in
+      if (cleared > 0) {
+        let attack = attackFor(ATTACK_TABLES[config.attackTable], event);
+        while (attack > 0 && state.pendingGarbage.length) {
+          const cancel = Math.min(attack, state.pendingGarbage[0]);
+          attack -= cancel;
+          state.pendingGarbage[0] -= cancel;
+          if (!state.pendingGarbage[0]) state.pendingGarbage.shift();
+        }
+        if (attack > 0) {
+          state.attackSent += attack;
+          emitter.emit("attack", { lines: attack });
+        }
+      } else if (state.pendingGarbage.length) {
+        insertGarbage();
+        if (state.gameOver) return;
+      }
+
+      if (mode.lineGoal !== undefined && state.lines >= mode.lineGoal) {
+        endGame(true, "goal");
+        return;
+      }
+      if (puzzle) {
+        if (goalMet(puzzle.goal, event, state.lines)) {
+          endGame(true, "goal");
+          return;
+        }
+        if (puzzle.goal.pieces && state.pieces >= puzzle.goal.pieces) {
+          endGame(false, "pieces");
+          return;
+        }
+      }
+      if (mode.clearBoard) state.arena.forEach(row => row.fill(0));
+      state.holdUsed = false;
+      state.dropAccumulator = 0;
+      spawn(state.queue.shift());
+    }
+
+    /* ---- undo (puzzles) ---- */
+    /* everything a puzzle needs to replay a spawn */
+    function snapshot(type) {
+      return {
+        type,
+        sequenceIndex,
+        arena: state.arena.map(row => row.slice()),
+        queue: state.queue.slice(),
+        hold: state.hold,
+        holdUsed: state.holdUsed,
+        score: state.score,
+        lines: state.lines,
+        level: state.level,
+        combo: state.combo,
+        backToBack: state.backToBack,
+        pieces: state.pieces,
+        clears: Object.assign({}, state.clears)
+      };
+    }
+
+    /* back to where the previous piece spawned, even after the game ended;
+       false when there is nothing to undo */
+    function undo() {
+      // the piece in play, or one that blocked out, is dropped rather than restored
+      const top = history[history.length - 1];
+      const back = top && !top.locked ? 2 : 1;
+      if (history.length < back || state.paused) return false;
+      history.length -= back - 1;
+      const snap = history.pop(); // spawn() records it again
+      sequenceIndex = snap.sequenceIndex;
+      for (const key of ["arena", "queue", "hold", "holdUsed", "score", "lines", "level", "combo", "backToBack", "pieces", "clears"]) {
+        state[key] = snap[key];
+      }
+      state.gameOver = false;
+      state.won = false;
+      state.dropAccumulator = 0;
+      emitter.emit("undo", { pieces: state.pieces });
+      spawn(snap.type);
+      return true;
+    }
+
+    /* ---- garbage ---- */
+    /* queue incoming garbage; it rises on the next lock that clears nothing */
+    function receiveGarbage(lines) {
+      if (state.gameOver || lines <= 0) return;
+      state.pendingGarbage.push(lines);
+    }
+
+    /* push every pending chunk in from the bottom, one gap column per chunk */
+    function insertGarbage() {
+      const chunks = state.pendingGarbage;
+      state.pendingGarbage = [];
+      let total = 0;
+      for (const lines of chunks) {
+        const gap = Math.floor(garbageRng() * state.cols);
+        for (let i = 0; i < lines; ++i) {
+          const row = new Array(state.cols).fill(GARBAGE_ID);
+          row[gap] = 0;
+          const top = state.arena.shift();
+          state.arena.push(row);
+          // anything shoved off the top of the arena (buffer included) tops the player out
+          if (top.some(v => v !== 0)) {
+            emitter.emit("garbage", { lines: total + i + 1 });
+            endGame(false, "topout");
+            return;
+          }
+        }
+        total += lines;
+      }
+      emitter.emit("garbage", { lines: total });
+    }
+
+    /* ---- DAS ----
+       With both directions held the last one pressed wins; letting go of it
+       hands auto-shift back to the other, which charges DAS afresh. */
+    function dasStart(dir) {
+      state.das[dir] = true;
+      state.das.dir = dir;
+      state.das.nextMoveAt = gameTime() + config.handling.das;
+    }
+    function dasStop(dir) {
+      state.das[dir] = false;
+      if (state.das.dir !== dir) return;
+      const other = dir === "left" ? "right" : "left";
+      state.das.dir = state.das[other] ? other : null;
+      state.das.nextMoveAt = gameTime() + config.handling.das;
+    }
+    /* hold auto-shift back for dasCut ms (after rotations and spawns) */
+    function dasCut() {
+      if (state.das.dir && config.handling.dasCut > 0) {
+        state.das.nextMoveAt = Math.max(state.das.nextMoveAt, gameTime() + config.handling.dasCut);
+      }
+    }
+
+    /* ---- input ---- */
+    /* apply a gameplay action now; pressed defaults to a tap (press + release) */
+    function input(action, pressed) {
+      if (pressed === undefined) {
+        input(action, true);
+        input(action, false);
+        return;
+      }
+      if (ACTIONS.indexOf(action) < 0 || state.gameOver || state.paused) return;
+      emitter.emit("input", { tick: state.tick, action, pressed });
+      switch (action) {
+        case "left":
+        case "right":
+          if (pressed) { dasStart(action); move(action === "left" ? -1 : 1); }
+          else dasStop(action);
+          break;
+        case "soft":
+          state.softDrop = pressed; break;
+        case "hard":
+          if (pressed) hardDrop(); break;
+        case "cw":
+          state.held.cw = pressed;
+          if (pressed) rotate(1); break;
+        case "ccw":
+          state.held.ccw = pressed;
+          if (pressed) rotate(-1); break;
+        case "180":
+          state.held["180"] = pressed;
+          if (pressed) rotate(2); break;
+        case "hold":
+          state.held.hold = pressed;
+          if (pressed) holdSwap(); break;
+      }
+    }
+
+    /* ---- clock ---- */
+    /* one fixed TICK_MS step of gravity, DAS and lock delay */
+    function step() {
+      if (state.gameOver || state.paused) return;
+      emitter.emit("beforeStep", { tick: state.tick });
+      if (state.gameOver || state.paused) return;
+      const p = state.player;
+
+      // gravity (cells per second) -> ms per cell
+      const msPerCell = 1000 / Math.max(0.001, gravity());
+      state.dropAccumulator += TICK_MS;
+
+      // while enough time has passed, move down one cell per cell ms
+      while (state.dropAccumulator >= msPerCell) {
+        state.dropAccumulator -= msPerCell;
+        if (!fits(p.pos.x, p.pos.y + 1, p.matrix)) {
+          state.onGround = true;
+          break;
+        }
+        // in air
+        p.pos.y += 1;
+        state.onGround = false;
+        p.lastAction = "drop";
+        if (state.softDrop) state.score += 1;
+        // only a new lowest row starts lock delay afresh; falling back after a kick keeps the timer
+        if (p.pos.y > state.lowestY) {
+          state.lowestY = p.pos.y;
+          state.lockResets = 0;
+          state.lockTimer = 0;
+        }
+      }
+
+      // DAS auto-repeat: as many shifts as ARR fits into this tick, or all the way at ARR 0
+      const now = gameTime();
+      const das = state.das;
+      if (das.dir && now >= das.nextMoveAt) {
+        const dir = das.dir === "left" ? -1 : 1;
+        const arr = config.handling.arr;
+        if (arr <= 0) {
+          while (move(dir));
+        } else {
+          while (now >= das.nextMoveAt) {
+            move(dir);
+            das.nextMoveAt += arr;
+          }
+        }
+      }
+
+      // lock delay runs while the piece rests on something
+      if (!fits(p.pos.x, p.pos.y + 1, p.matrix)) {
+        state.onGround = true;
+        state.lockTimer += TICK_MS;
+        if (state.lockTimer >= lockDelayFor(state.level, config.handling.lockDelay)) lockPiece();
+      } else {
+        // lifted off the stack (a kick, or a move past a ledge): the timer pauses, it does not restart
+        state.onGround = false;
+      }
+      state.tick++;
+
+      const limit = MODES[state.mode].timeLimit;
+      if (limit !== undefined && gameTime() >= limit) endGame(true, "time");
+    }
+
+    /* advance the clock by real milliseconds, running as many fixed steps as fit */
+    function tick(ms) {
+      if (state.gameOver || state.paused) return;
+      tickAccumulator += Math.min(MAX_FRAME_MS, ms);
+      while (tickAccumulator >= TICK_MS && !state.gameOver && !state.paused) {
+        tickAccumulator -= TICK_MS;
+        step();
+      }
+    }
+
+    function setPaused(value) {
+      if (state.paused === value || state.gameOver) return;
+      state.paused = value;
+      emitter.emit("pause", { paused: value });
+    }
+
+    /* change speed curve / fixed gravity / handling mid-game; mode, board size and puzzle apply from the next reset */
+    function configure(patch) {
+      if (patch.cols > 0) config.cols = Math.floor(patch.cols);
+      if (patch.rows > 0) config.rows = Math.floor(patch.rows);
+      if (patch.buffer >= 0) config.buffer = Math.floor(patch.buffer);
+      if (patch.partialLockOut !== undefined) config.partialLockOut = patch.partialLockOut === true;
+      if (patch.mode !== undefined && MODES[patch.mode]) config.mode = patch.mode;
+      if (patch.speedCurve !== undefined) config.speedCurve = patch.speedCurve;
+      if (patch.fixedGravity !== undefined) config.fixedGravity = patch.fixedGravity;
+      if (patch.attackTable !== undefined && ATTACK_TABLES[patch.attackTable]) config.attackTable = patch.attackTable;
+      if (patch.handling) Object.assign(config.handling, patch.handling);
+      if (patch.puzzle !== undefined) config.puzzle = normalizePuzzle(patch.puzzle);
+    }
+
+    /* read-only snapshot; arena and piece are the live objects, don't mutate them */
+    function getState() {
+      const g = gravity();
+      const ghost = ghostY();
+      const falling = state.player && ghost > state.player.pos.y;
+      return {
+        cols: state.cols,
+        rows: state.rows,
+        buffer: state.buffer,
+        seed: state.seed,
+        arena: state.arena,
+        player: state.player,
+        ghostY: ghost,
+        queue: state.queue.slice(),
+        hold: state.hold,
+        holdUsed: state.holdUsed,
+        score: state.score,
+        lines: state.lines,
+        level: state.level,
+        combo: state.combo,
+        backToBack: state.backToBack,
+        mode: state.mode,
+        pieces: state.pieces,
+        timeMs: gameTime(),
+        pendingGarbage: state.pendingGarbage.reduce((a, b) => a + b, 0),
+        attackSent: state.attackSent,
+        gameOver: state.gameOver,
+        won: state.won,
+        paused: state.paused,
+        tick: state.tick,
+        gravity: g,
+        // fraction of the way to the next gravity step, for smooth rendering
+        dropProgress: falling ? Math.min(1, state.dropAccumulator / (1000 / Math.max(0.001, g))) : 0,
+        onGround: state.onGround,
+        lockTimer: state.lockTimer,
+        lockResets: state.lockResets
+      };
+    }
+
+    const game = {
+      reset,
+      input,
+      step,
+      tick,
+      getState,
+      configure,
+      pause: () => setPaused(true),
+      resume: () => setPaused(false),
+      togglePause: () => setPaused(!state.paused),
+      getSummary: summary,
+      receiveGarbage,
+      undo,
+      end: (won, reason = "forfeit") => endGame(won, reason),
+      getConfig: () => ({
+        mode: config.mode, attackTable: config.attackTable, speedCurve: config.speedCurve, fixedGravity: config.fixedGravity,
+        handling: Object.assign({}, config.handling),
+        cols: config.cols, rows: config.rows, buffer: config.buffer, partialLockOut: config.partialLockOut,
+        puzzle: config.puzzle
+      }),
+      on: (name, fn) => emitter.on(name, fn),
+      off: (name, fn) => emitter.off(name, fn)
+    };
+    reset();
+    return game;
+  }
+
+  return {
+    ACTIONS,
+    ATTACK_TABLES,
+    DEFAULT_BUFFER,
+    DEFAULT_COLS,
+    DEFAULT_ROWS,
+    GARBAGE_ID,
+    DEFAULT_HANDLING,
+    MAX_GRAVITY,
+    MODES,
+    PIECE_IDS,
+    PUZZLE_GOALS,
+    QUEUE_SIZE,
+    SPEED_CURVES,
+    TICK_MS,
+    attackFor,
+    classifyClear,
+    collide,
+    createBag,
+    createEmitter,
+    createGame,
+    createMatrix,
+    createPiece,
+    createRng,
+    detectTSpin,
+    getKicks,
+    gravityFor,
+    lockDelayFor,
+    normalizePuzzle,
+    parseSeed,
+    pieceType,
+    randomSeed,
+    rotateMatrix,
+    spawnPosition
+  };
+});
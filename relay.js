@@ -0,0 +1,359 @@
+#!/usr/bin/env node
+/* ----------------------
+  Neon Tetris — relay
+  Dependency-free Node server for online 1v1: serves the game's files over
+  HTTP and relays match messages between the two players of a room over a
+  WebSocket at /ws. The server knows rooms, seats and readiness; the games
+  themselves run in the browsers. Message format: PROTOCOL.md.
+
+  node relay.js            // http://localhost:8080/, ws://localhost:8080/ws
+  PORT=9000 HOST=0.0.0.0 node relay.js
+-------------------------*/
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const PROTOCOL_VERSION = 1;
+const ROOT = __dirname;
+const RESUME_MS = 30000; // how long a dropped seat is held for a resume
+const PING_MS = 15000; // WebSocket ping interval; a socket that misses one is dropped
+const MAX_MESSAGE = 16 * 1024; // bytes per client message
+const MAX_OUTBOX = 200; // messages kept for a disconnected seat
+const MAX_ATTACK = 30; // lines in one attack message
+const ROOM_LETTERS = "ABCDEFGHJKLMNPQRSTUVWXYZ"; // no I / O to misread
+const STATIC_TYPES = { ".html": "text/html", ".js": "text/javascript", ".css": "text/css", ".md": "text/markdown" };
+
+/* ------------------------
+   WebSocket (RFC 6455)
+   Just enough of the protocol for a relay: the upgrade handshake, masked
+   client frames (text, close, ping, pong; fragmented messages reassembled)
+   and unmasked text / control frames back.
+---------------------------*/
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) header = Buffer.from([0x80 | opcode, length]);
+  else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode; header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode; header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/* wrap an upgraded socket: onMessage(text) for each message, onClose() once */
+function createConnection(socket, { onMessage, onClose }) {
+  let buffer = Buffer.alloc(0);
+  let fragments = [];
+  let closed = false;
+  let alive = true;
+
+  function send(text) {
+    if (!closed) socket.write(encodeFrame(0x1, Buffer.from(text)));
+  }
+
+  function close(code = 1000) {
+    if (closed) return;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    socket.end(encodeFrame(0x8, payload));
+    finish();
+  }
+
+  function finish() {
+    if (closed) return;
+    closed = true;
+    socket.destroy();
+    onClose();
+  }
+
+  /* pull complete frames off the buffer */
+  function parse() {
+    while (buffer.length >= 2) {
+      const fin = (buffer[0] & 0x80) !== 0;
+      const opcode = buffer[0] & 0x0f;
+      const masked = (buffer[1] & 0x80) !== 0;
+      let length = buffer[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (buffer.length < 4) return;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffer.length < 10) return;
+        const big = buffer.readBigUInt64BE(2);
+        length = big > BigInt(MAX_MESSAGE) ? MAX_MESSAGE + 1 : Number(big);
+        offset = 10;
+      }
+      if (!masked) return close(1002);
+      if (length > MAX_MESSAGE) return close(1009);
+      if (buffer.length < offset + 4 + length) return;
+      const mask = buffer.subarray(offset, offset + 4);
+      const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+      for (let i = 0; i < payload.length; ++i) payload[i] ^= mask[i & 3];
+      buffer = buffer.subarray(offset + 4 + length);
+
+      if (opcode === 0x8) return close();
+      if (opcode === 0x9) { if (!closed) socket.write(encodeFrame(0xa, payload)); continue; }
+      if (opcode === 0xa) { alive = true; continue; }
+      if (opcode !== 0x0 && opcode !== 0x1) return close(1003);
+      fragments.push(payload);
+      if (fragments.reduce((n, f) => n + f.length, 0) > MAX_MESSAGE) return close(1009);
+      if (!fin) continue;
+      const text = Buffer.concat(fragments).toString("utf8");
+      fragments = [];
+      onMessage(text);
+      if (closed) return;
+    }
+  }
+
+  socket.on("data", chunk => {
+    buffer = Buffer.concat([buffer, chunk]);
+    parse();
+  });
+  // upgraded sockets are half-open: a peer that hangs up without a close frame only shows as "end"
+  socket.on("end", finish);
+  socket.on("close", finish);
+  socket.on("error", finish);
+
+  // a ping per interval; no pong since the last one means the peer is gone
+  const pinger = setInterval(() => {
+    if (!alive) { clearInterval(pinger); return finish(); }
+    alive = false;
+    if (!closed) socket.write(encodeFrame(0x9, Buffer.alloc(0)));
+  }, PING_MS);
+  socket.on("close", () => clearInterval(pinger));
+
+  return { send, close };
+}
+
+function acceptUpgrade(req, socket) {
+  const key = req.headers["sec-websocket-key"];
+  if (req.headers.upgrade.toLowerCase() !== "websocket" || !key) {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return false;
+  }
+  const accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write("HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n" +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+  socket.setNoDelay(true);
+  return true;
+}
+
+/* ------------------------
+   Rooms
+   A room has two seats. A seat outlives its socket for RESUME_MS so a
+   player can reconnect (with the seat's token) into the same room and,
+   mid-match, the same game; messages for them wait in the seat's outbox.
+---------------------------*/
+const rooms = new Map();
+
+function newRoomCode() {
+  let code;
+  do {
+    code = Array.from({ length: 4 }, () => ROOM_LETTERS[crypto.randomInt(ROOM_LETTERS.length)]).join("");
+  } while (rooms.has(code));
+  return code;
+}
+
+function cleanName(name) {
+  return String(name || "").replace(/[\u0000-\u001f]/g, "").trim().slice(0, 16) || "Player";
+}
+
+function createSeat(name) {
+  return { name: cleanName(name), token: crypto.randomBytes(16).toString("hex"), ready: false, conn: null, outbox: [], dropTimer: null };
+}
+
+function sendTo(seat, message) {
+  if (!seat) return;
+  if (seat.conn) { seat.conn.send(JSON.stringify(message)); return; }
+  // only the latest board and lobby matter; everything else is kept in order
+  if (message.type === "board" || message.type === "lobby") seat.outbox = seat.outbox.filter(m => m.type !== message.type);
+  seat.outbox.push(message);
+  if (seat.outbox.length > MAX_OUTBOX) seat.outbox.shift();
+}
+
+function broadcastLobby(room) {
+  const players = room.seats.map(seat => seat && { name: seat.name, ready: seat.ready, connected: !!seat.conn });
+  for (const seat of room.seats) sendTo(seat, { type: "lobby", players, playing: room.playing });
+}
+
+function joinedMessage(room, index) {
+  return { type: "joined", room: room.code, seat: index, token: room.seats[index].token, rules: room.rules, playing: room.playing };
+}
+
+/* a seat gone for good: its opponent wins a running match */
+function removeSeat(room, index) {
+  const seat = room.seats[index];
+  if (!seat) return;
+  clearTimeout(seat.dropTimer);
+  room.seats[index] = null;
+  const other = room.seats[1 - index];
+  if (room.playing) {
+    room.playing = false;
+    sendTo(other, { type: "over", reason: "left" });
+  }
+  if (other) other.ready = false;
+  if (!room.seats.some(Boolean)) rooms.delete(room.code);
+  else broadcastLobby(room);
+}
+
+function maybeStart(room) {
+  if (room.playing || !room.seats.every(seat => seat && seat.conn && seat.ready)) return;
+  room.playing = true;
+  room.seats.forEach(seat => { seat.ready = false; });
+  const seed = crypto.randomInt(2 ** 32);
+  for (const seat of room.seats) sendTo(seat, { type: "start", seed, rules: room.rules });
+  broadcastLobby(room);
+}
+
+/* ------------------------
+   Messages
+---------------------------*/
+function handleMessage(client, text) {
+  let msg;
+  try { msg = JSON.parse(text); } catch (err) { msg = null; }
+  if (!msg || typeof msg.type !== "string") return client.error("bad-message", "Messages are JSON objects with a type");
+
+  if (msg.type === "create" || msg.type === "join" || msg.type === "resume") {
+    if (msg.v !== PROTOCOL_VERSION) return client.error("version", `This relay speaks protocol v${PROTOCOL_VERSION}`);
+    if (client.room) return client.error("in-room", "Leave this room first");
+  }
+
+  if (msg.type === "create") {
+    const room = { code: newRoomCode(), rules: msg.rules && typeof msg.rules === "object" ? msg.rules : {}, seats: [null, null], playing: false };
+    rooms.set(room.code, room);
+    return client.sit(room, 0, createSeat(msg.name));
+  }
+  if (msg.type === "join") {
+    const room = rooms.get(String(msg.room || "").toUpperCase());
+    if (!room) return client.error("no-room", "No room with that code");
+    const index = room.seats.indexOf(null);
+    if (index < 0) return client.error("room-full", "That room already has two players");
+    return client.sit(room, index, createSeat(msg.name));
+  }
+  if (msg.type === "resume") {
+    const room = rooms.get(String(msg.room || "").toUpperCase());
+    const index = room ? room.seats.findIndex(seat => seat && seat.token === msg.token) : -1;
+    if (index < 0) return client.error("no-seat", "That seat is gone");
+    const seat = room.seats[index];
+    if (seat.conn) seat.conn.close(4000); // the old socket lost the race
+    return client.sit(room, index, seat);
+  }
+
+  const room = client.room, seat = room && room.seats[client.index];
+  if (!seat) return client.error("no-room", "Create or join a room first");
+  const other = room.seats[1 - client.index];
+  switch (msg.type) {
+    case "ready":
+      if (room.playing) return;
+      seat.ready = msg.ready === true;
+      broadcastLobby(room);
+      maybeStart(room);
+      return;
+    case "attack": {
+      const lines = Math.floor(Number(msg.lines));
+      if (room.playing && lines > 0) sendTo(other, { type: "attack", lines: Math.min(MAX_ATTACK, lines) });
+      return;
+    }
+    case "board":
+      if (room.playing) sendTo(other, Object.assign({}, msg, { type: "board" }));
+      return;
+    case "over":
+      if (!room.playing) return;
+      room.playing = false;
+      sendTo(other, { type: "over", reason: "topout" });
+      broadcastLobby(room);
+      return;
+    case "leave":
+      // the socket stays open for another room
+      seat.conn = null;
+      client.room = null;
+      removeSeat(room, client.index);
+      return;
+    default:
+      client.error("bad-message", `Unknown message type "${msg.type}"`);
+  }
+}
+
+function handleSocket(req, socket) {
+  if (!acceptUpgrade(req, socket)) return;
+  const client = {
+    room: null,
+    index: -1,
+    error(code, message) { conn.send(JSON.stringify({ type: "error", code, message })); },
+    /* take (or retake) a seat and catch it up */
+    sit(room, index, seat) {
+      clearTimeout(seat.dropTimer);
+      seat.conn = conn;
+      room.seats[index] = seat;
+      client.room = room;
+      client.index = index;
+      conn.send(JSON.stringify(joinedMessage(room, index)));
+      const waiting = seat.outbox;
+      seat.outbox = [];
+      for (const message of waiting) conn.send(JSON.stringify(message));
+      broadcastLobby(room);
+    }
+  };
+  const conn = createConnection(socket, {
+    onMessage: text => handleMessage(client, text),
+    onClose: () => {
+      const room = client.room, seat = room && room.seats[client.index];
+      if (!seat || seat.conn !== conn) return;
+      seat.conn = null;
+      seat.ready = false;
+      seat.dropTimer = setTimeout(() => removeSeat(room, room.seats.indexOf(seat)), RESUME_MS);
+      broadcastLobby(room);
+    }
+  });
+}
+
+/* ------------------------
+   HTTP: the game's own files, read-only
+---------------------------*/
+function serveFile(req, res) {
+  const url = new URL(req.url, "http://localhost");
+  let name;
+  try { name = url.pathname === "/" ? "index.html" : decodeURIComponent(url.pathname.slice(1)); } catch (err) { name = ""; }
+  const file = path.join(ROOT, name);
+  const type = STATIC_TYPES[path.extname(file)];
+  if (req.method !== "GET" || !type || path.dirname(file) !== ROOT) {
+    res.writeHead(404, { "Content-Type": "text/plain" });
+    res.end("Not found");
+    return;
+  }
+  fs.readFile(file, (err, data) => {
+    if (err) { res.writeHead(404, { "Content-Type": "text/plain" }); res.end("Not found"); return; }
+    res.writeHead(200, { "Content-Type": `${type}; charset=utf-8`, "Cache-Control": "no-cache" });
+    res.end(data);
+  });
+}
+
+function createRelay() {
+  const server = http.createServer(serveFile);
+  server.on("upgrade", (req, socket) => {
+    if (new URL(req.url, "http://localhost").pathname !== "/ws") socket.end("HTTP/1.1 404 Not Found\r\n\r\n");
+    else handleSocket(req, socket);
+  });
+  return server;
+}
+
+if (require.main === module) {
+  const port = Number(process.env.PORT || process.argv[2]) || 8080;
+  const host = process.env.HOST || "0.0.0.0";
+  createRelay().listen(port, host, () => {
+    console.log(`Neon Tetris relay on http://localhost:${port}/ (WebSocket /ws)`);
+  });
+}
+
+module.exports = { PROTOCOL_VERSION, createRelay };
@@ -2,28 +2,77 @@
 
 /* ----------------------
   Production-ready Tetris
+  Game rules live in game-core.js (TetrisCore); this file is the browser
+  front end: canvas renderer, DOM HUD, settings, input and replays.
   Features:
    - DPI-correct canvas
    - Smooth falling (fractional visual)
-   - Gravity in cells/sec & adjustable
-   - 7-bag next queue
+   - Level-driven gravity (guideline / NES / TGM curves) or fixed cells/sec
+   - Any board size (standard 10×20 by default) with hidden buffer rows and
+     guideline block out / lock out (optionally partial lock out)
+   - 7-bag next queue from a seedable PRNG
+   - Deterministic fixed-step logic with replay record/playback
    - Hold piece
+   - SRS rotation (cw / ccw / 180) with wall kicks
    - Soft/hard drop
-   - DAS + ARR (hold left/right auto repeat)
-   - Lock delay (with reset on move/rotate)
+   - Tunable handling: DAS, ARR (0 = instant), DAS cut, soft drop factor,
+     lock delay with a capped number of move resets, IRS / IHS
    - Ghost piece
+   - Guideline scoring: T-spins, back-to-back, combos, perfect clears
    - Score, lines, level, highscore (localStorage)
+   - Endless / Marathon / Sprint / Ultra modes with results + personal bests
+   - Versus CPU with garbage, cancelling and attack tables
+   - Placement hint and an idle demo driven by the bot's path search
+   - Live stats (PPS, KPP, LPM, APM, finesse faults) and a PPS graph on results
+   - Finesse trainer: random target drills, optimal key hints, saved accuracy
+   - Puzzle mode with a board editor, goals, undo and shareable URL codes
+   - Fumen (v115) import and export of boards, pieces and queues
+   - Local 2-player split screen (split keyboard or one gamepad each)
+   - Online 1v1 over WebSocket through the bundled relay (relay.js): rooms,
+     ready-up, shared seed, garbage exchange and a live opponent board
+   - Versioned saved settings + per-mode top-10 leaderboard (JSON export/import)
+   - Title / pause / game-over screens; auto-pause when hidden or unfocused
+   - Line-clear flashes and particles, hard-drop trails, board shake and a
+     top-out animation (reduced motion setting / prefers-reduced-motion)
+   - Themes (neon, classic, high contrast, two colour-blind palettes with
+     per-piece patterns) carried to the HUD as CSS variables; JSON import/export
    - Performance mode that throttles render FPS
-   - Sound (WebAudio) with mute toggle
-   - Touch controls + buttons
+   - Synthesized sound effects and level-paced music (WebAudio), with
+     master / effects / music volume and mute
+   - Rebindable keyboard controls + Gamepad API
+   - Screen-reader announcements, audio cues for stack height and column,
+     and keyboard-only dialogs with focus management
+   - Touch: swipe / tap / flick gestures on the board and hold-to-repeat
+     buttons with configurable layout, size and haptics
 -------------------------*/
 
 /* ------------------------
    Constants & Canvas Setup
 ---------------------------*/
-const COLS = 12;
-const ROWS = 20;
-const TILE = 20; // logical tile size in CSS px
+const TILE = 20; // logical tile size in CSS px, shrunk for big boards
+const MAX_BOARD_WIDTH = 360; // CSS px a board may take up
+const MAX_BOARD_HEIGHT = 520;
+const CPU_SCALE = 0.7; // the versus opponent's board is drawn smaller
+const PREVIEW_WIDTH = 80; // CSS px width of the next / hold canvases
+const PREVIEW_CELL = 16; // hold and first next piece
+const PREVIEW_SMALL_CELL = 12; // the rest of the next queue
+const PREVIEW_FIRST_SLOT = PREVIEW_CELL * 3;
+const PREVIEW_SLOT = PREVIEW_SMALL_CELL * 2.5;
+const MAX_PREVIEWS = 6; // TetrisCore keeps QUEUE_SIZE (6) pieces ahead
+
+const {
+  ACTIONS, ATTACK_TABLES, DEFAULT_HANDLING, GARBAGE_ID, MAX_GRAVITY, MODES, PIECE_IDS, SPEED_CURVES, TICK_MS,
+  createGame, createPiece, createRng, gravityFor, normalizePuzzle, parseSeed, randomSeed
+} = TetrisCore;
+
+// visible playfield size, from the Board settings; the engines add hidden buffer rows on top
+let boardCols = TetrisCore.DEFAULT_COLS;
+let boardRows = TetrisCore.DEFAULT_ROWS;
+let partialLockOut = false;
+const {
+  CPU_LEVELS, bestMove, createCpuPlayer, finesseFaults, finesseKey, finessePlacements, rotationsOf
+} = TetrisBot;
+const { FUMEN_COLS } = TetrisFumen;
 
 const canvas = document.getElementById("tetris");
 const ctx = canvas.getContext("2d");
@@ -31,38 +80,50 @@ const nextCanvas = document.getElementById("next");
 const nextCtx = nextCanvas && nextCanvas.getContext("2d");
 const holdCanvas = document.getElementById("hold");
 const holdCtx = holdCanvas && holdCanvas.getContext("2d");
+const cpuCanvas = document.getElementById("cpu-canvas");
+const cpuCtx = cpuCanvas && cpuCanvas.getContext("2d");
+// the online opponent's mirrored board
+const opponentCanvas = document.getElementById("opponent-canvas");
+const opponentCtx = opponentCanvas && opponentCanvas.getContext("2d");
+// player 2's board and previews (local 2P)
+const p2Canvas = document.getElementById("p2-canvas");
+const p2Ctx = p2Canvas && p2Canvas.getContext("2d");
+const p2NextCanvas = document.getElementById("p2-next");
+const p2NextCtx = p2NextCanvas && p2NextCanvas.getContext("2d");
+const p2HoldCanvas = document.getElementById("p2-hold");
+const p2HoldCtx = p2HoldCanvas && p2HoldCanvas.getContext("2d");
+
+/* give a canvas a width x height CSS size with a DPR backing store;
+   one drawing unit is `unit` CSS px */
+function fitCanvas(cv, c, width, height, unit) {
+  if (!cv || !c) return;
+  const dpr = window.devicePixelRatio || 1;
+  cv.style.width = `${width}px`;
+  cv.style.height = `${height}px`;
+  cv.width = width * dpr;
+  cv.height = height * dpr;
+  c.setTransform(dpr * unit, 0, 0, dpr * unit, 0, 0);
+}
 
 function setupCanvas() {
-  const dpr = window.devicePixelRatio || 1;
-  // main canvas CSS size
-  canvas.style.width = `${COLS * TILE}px`;
-  canvas.style.height = `${ROWS * TILE}px`;
-  // backing store
-  canvas.width = COLS * TILE * dpr;
-  canvas.height = ROWS * TILE * dpr;
-  // map 1 drawing unit to 1 tile
-  ctx.setTransform(dpr * TILE, 0, 0, dpr * TILE, 0, 0);
-
-  if (nextCanvas && nextCtx) {
-    nextCanvas.style.width = `80px`;
-    nextCanvas.style.height = `80px`;
-    const nDpr = dpr;
-    nextCanvas.width = 80 * nDpr;
-    nextCanvas.height = 80 * nDpr;
-    // we draw in pixels (not tiles) for preview; scale accordingly
-    nextCtx.setTransform(nDpr, 0, 0, nDpr, 0, 0);
-  }
-  if (holdCanvas && holdCtx) {
-    holdCanvas.style.width = `80px`;
-    holdCanvas.style.height = `80px`;
-    const hDpr = dpr;
-    holdCanvas.width = 80 * hDpr;
-    holdCanvas.height = 80 * hDpr;
-    holdCtx.setTransform(hDpr, 0, 0, hDpr, 0, 0);
+  // boards map 1 drawing unit to 1 tile
+  const tile = Math.floor(Math.min(TILE, MAX_BOARD_WIDTH / boardCols, MAX_BOARD_HEIGHT / boardRows));
+  fitCanvas(canvas, ctx, boardCols * tile, boardRows * tile, tile);
+  fitCanvas(p2Canvas, p2Ctx, boardCols * tile, boardRows * tile, tile);
+  fitCanvas(cpuCanvas, cpuCtx, boardCols * tile * CPU_SCALE, boardRows * tile * CPU_SCALE, tile * CPU_SCALE);
+  fitCanvas(opponentCanvas, opponentCtx, boardCols * tile * CPU_SCALE, boardRows * tile * CPU_SCALE, tile * CPU_SCALE);
+  // previews draw in CSS px; the next stack is as tall as the preview count needs
+  const queueHeight = previewCount ? PREVIEW_FIRST_SLOT + (previewCount - 1) * PREVIEW_SLOT : 0;
+  for (const [cv, c] of [[nextCanvas, nextCtx], [p2NextCanvas, p2NextCtx]]) {
+    fitCanvas(cv, c, PREVIEW_WIDTH, queueHeight, 1);
+  }
+  for (const [cv, c] of [[holdCanvas, holdCtx], [p2HoldCanvas, p2HoldCtx]]) {
+    fitCanvas(cv, c, PREVIEW_WIDTH, PREVIEW_WIDTH, 1);
   }
 }
+let previewCount = 5; // next pieces shown, 0..MAX_PREVIEWS
 setupCanvas();
-window.addEventListener("resize", setupCanvas);
+window.addEventListener("resize", () => { setupCanvas(); drawNext(); drawHold(); });
 
 /* ------------------------
    State & Settings
@@ -72,42 +133,220 @@ let performanceMode = false;
 let targetFPS = 60;
 let minFrameTime = 1000 / targetFPS;
 
-let gravityCPS = 1; // cells per second (default gentle)
-let dropAccumulator = 0; // ms
+let gravityCPS = 1; // cells per second, used by the "fixed" speed curve
+let speedCurve = "guideline"; // key of TetrisCore.SPEED_CURVES or "fixed"
+let gameMode = "endless"; // key of TetrisCore.MODES
+let attackTable = "guideline"; // key of TetrisCore.ATTACK_TABLES
+let cpuLevel = "medium"; // key of TetrisBot.CPU_LEVELS
+let duelGarbage = true; // local 2P: line clears send garbage to the other player
+let playerName = "Player"; // shown on the leaderboard
+let handling = Object.assign({}, DEFAULT_HANDLING); // TetrisCore handling config, shared by both local players
 let lastTime = 0;
 let lastRender = 0;
 
-let gameOver = false;
-let paused = false;
-
-// DAS (delayed auto shift) settings
-const DAS_DELAY = 160; // ms before auto-repeat begins
-const ARR = 60; // ms between auto-shifts
-let dasState = { left: false, right: false, holdStart: 0, nextMoveAt: 0 };
-
-// Lock delay
-const LOCK_DELAY = 500; // ms before piece is locked once it touches ground
-let lockTimer = 0;
-let onGround = false;
-
-// Soft drop multiplier
-const SOFT_DROP_MULT = 20; // increases gravity when soft-dropping
-
-// Game entities
-const arena = createMatrix(COLS, ROWS);
-const player = { pos: { x: 0, y: 0 }, matrix: null, id: 0 };
-let nextQueue = [];
-const QUEUE_SIZE = 5;
-let holdPiece = null;
-let holdUsed = false;
-
-// Scoring / level
-let score = 0;
-let level = 0;
-let lines = 0;
+// The engine; resetGame() re-seeds it in place so event listeners stay attached
+const game = createGame({ cols: boardCols, rows: boardRows, mode: gameMode, speedCurve, fixedGravity: gravityCPS, attackTable });
+// Player 2's engine for local 2P; only stepped while the "duel" mode is on
+const p2Game = createGame({ cols: boardCols, rows: boardRows, mode: "duel", speedCurve, fixedGravity: gravityCPS, attackTable });
+
+/* ------------------------
+   Themes
+   A theme is plain JSON: piece colours by letter (plus garbage), the glow
+   colour (null for none), board background and grid lines, ghost style,
+   whether cells carry a per-piece pattern (for colour-blind players) and the
+   UI accents, which reach style.css as CSS variables.
+---------------------------*/
+const THEMES = {
+  neon: {
+    name: "Neon",
+    pieces: { I: "#0ff", O: "#f0f", T: "#ff0", S: "#0f0", Z: "#09f", J: "#f90", L: "#f09", garbage: "#777" },
+    glow: "#0ff", background: "#000", grid: null, ghost: "fill", patterns: false,
+    ui: { accent: "#0ff", accent2: "#09f", player2: "#f0f", bg: "#050505", text: "#fff" }
+  },
+  classic: {
+    name: "Classic",
+    pieces: { I: "#00f0f0", O: "#f0f000", T: "#a000f0", S: "#00f000", Z: "#f00000", J: "#0000f0", L: "#f0a000", garbage: "#808080" },
+    glow: null, background: "#101018", grid: "rgba(255,255,255,0.07)", ghost: "outline", patterns: false,
+    ui: { accent: "#f0a000", accent2: "#a000f0", player2: "#00f0f0", bg: "#0b0b12", text: "#fff" }
+  },
+  contrast: {
+    name: "High contrast",
+    pieces: { I: "#00ffff", O: "#ffff00", T: "#ff00ff", S: "#00ff00", Z: "#ff0000", J: "#4d7dff", L: "#ff8800", garbage: "#ffffff" },
+    glow: null, background: "#000", grid: "rgba(255,255,255,0.25)", ghost: "outline", patterns: false,
+    ui: { accent: "#ffff00", accent2: "#ffffff", player2: "#00ffff", bg: "#000", text: "#fff" }
+  },
+  // Okabe & Ito's palette, distinguishable with red-green colour blindness
+  okabeIto: {
+    name: "Colour-blind (Okabe-Ito)",
+    pieces: { I: "#56b4e9", O: "#f0e442", T: "#cc79a7", S: "#009e73", Z: "#d55e00", J: "#0072b2", L: "#e69f00", garbage: "#999" },
+    glow: null, background: "#000", grid: "rgba(255,255,255,0.08)", ghost: "outline", patterns: true,
+    ui: { accent: "#56b4e9", accent2: "#e69f00", player2: "#e69f00", bg: "#050505", text: "#fff" }
+  },
+  // Paul Tol's "bright" scheme, also safe for blue-yellow colour blindness
+  tol: {
+    name: "Colour-blind (Tol bright)",
+    pieces: { I: "#66ccee", O: "#ccbb44", T: "#aa3377", S: "#228833", Z: "#ee6677", J: "#4477aa", L: "#bbbbbb", garbage: "#666" },
+    glow: null, background: "#000", grid: "rgba(255,255,255,0.08)", ghost: "outline", patterns: true,
+    ui: { accent: "#66ccee", accent2: "#ee6677", player2: "#ccbb44", bg: "#050505", text: "#fff" }
+  }
+};
+const themeSelect = document.getElementById("theme-select");
+const themeData = document.getElementById("theme-data");
+const themeStatus = document.getElementById("theme-status");
+let themeKey = "neon"; // key of THEMES or "custom"
+let customTheme = null; // the last imported theme
+let theme = THEMES.neon;
+let palette = themePalette(theme); // engine cell value -> colour
+
+const isColor = v => typeof v === "string" && /^(#[0-9a-f]{3,8}|rgba?\([\d\s.,%]+\))$/i.test(v.trim());
+
+/* a complete theme from imported JSON; unknown or invalid fields fall back to Neon */
+function normalizeTheme(data) {
+  if (!data || typeof data !== "object" || !data.pieces || typeof data.pieces !== "object") throw new Error("Not a theme");
+  const base = THEMES.neon;
+  const pick = (value, fallback) => isColor(value) ? value.trim() : fallback;
+  const out = {
+    name: typeof data.name === "string" && data.name.trim() ? data.name.trim().slice(0, 32) : "Custom",
+    pieces: {}, ui: {},
+    glow: data.glow === null ? null : pick(data.glow, base.glow),
+    background: pick(data.background, base.background),
+    grid: data.grid === null || data.grid === undefined ? null : pick(data.grid, null),
+    ghost: data.ghost === "outline" ? "outline" : "fill",
+    patterns: data.patterns === true
+  };
+  for (const key of Object.keys(base.pieces)) out.pieces[key] = pick(data.pieces[key], base.pieces[key]);
+  const ui = data.ui && typeof data.ui === "object" ? data.ui : {};
+  for (const key of Object.keys(base.ui)) out.ui[key] = pick(ui[key], base.ui[key]);
+  return out;
+}
+
+function themePalette(t) {
+  const out = { [GARBAGE_ID]: t.pieces.garbage };
+  for (const type of Object.keys(PIECE_IDS)) out[PIECE_IDS[type]] = t.pieces[type];
+  return out;
+}
+
+/* "#0ff" / "#00ffff" -> "rgba(0,255,255,a)"; other colour syntaxes pass through */
+function withAlpha(color, a) {
+  let hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+  if (!hex) return color;
+  hex = hex[1].length === 3 ? hex[1].replace(/./g, ch => ch + ch) : hex[1];
+  const n = parseInt(hex, 16);
+  return `rgba(${n >> 16},${(n >> 8) & 255},${n & 255},${a})`;
+}
+
+function setTheme(key, custom = customTheme) {
+  customTheme = custom;
+  themeKey = key === "custom" && customTheme ? "custom" : THEMES[key] ? key : "neon";
+  theme = themeKey === "custom" ? customTheme : THEMES[themeKey];
+  palette = themePalette(theme);
+  const root = document.documentElement.style;
+  root.setProperty("--neon", theme.ui.accent);
+  root.setProperty("--neon-2", theme.ui.accent2);
+  root.setProperty("--neon-soft", withAlpha(theme.ui.accent, 0.3));
+  root.setProperty("--neon-faint", withAlpha(theme.ui.accent, 0.12));
+  root.setProperty("--p2", theme.ui.player2);
+  root.setProperty("--bg", theme.ui.bg);
+  root.setProperty("--panel", withAlpha(theme.ui.bg, 0.98));
+  root.setProperty("--text", theme.ui.text);
+  root.setProperty("--board-bg", theme.background);
+  renderThemeSelect();
+}
+
+function renderThemeSelect() {
+  if (!themeSelect) return;
+  const keys = Object.keys(THEMES).concat(customTheme ? ["custom"] : []);
+  themeSelect.innerHTML = "";
+  for (const key of keys) {
+    const opt = document.createElement("option");
+    opt.value = key;
+    opt.textContent = key === "custom" ? `${customTheme.name} (imported)` : THEMES[key].name;
+    themeSelect.appendChild(opt);
+  }
+  themeSelect.value = themeKey;
+}
+
+function setThemeStatus(text) {
+  if (themeStatus) themeStatus.textContent = text;
+}
+
+onIf(themeSelect, "change", () => {
+  setTheme(themeSelect.value);
+  redrawAll();
+});
+onIf(document.getElementById("theme-export"), "click", () => {
+  if (!themeData) return;
+  themeData.value = JSON.stringify(theme, null, 2);
+  themeData.select();
+  if (navigator.clipboard) navigator.clipboard.writeText(themeData.value).catch(() => {});
+  setThemeStatus("Exported");
+});
+onIf(document.getElementById("theme-import"), "click", () => {
+  if (!themeData) return;
+  let imported = null;
+  try { imported = normalizeTheme(JSON.parse(themeData.value)); } catch (err) { imported = null; }
+  if (!imported) { setThemeStatus("Not a theme export"); return; }
+  setTheme("custom", imported);
+  redrawAll();
+  saveSettings();
+  setThemeStatus(`Using "${imported.name}"`);
+});
+
+/* the canvases that only redraw on change */
+function redrawAll() {
+  drawNext();
+  drawHold();
+  updateP2Hud();
+}
+
+/* glow for the next fills, if the theme has one and glow is on */
+function setGlow(c, blur, color = theme.glow) {
+  c.shadowBlur = neonGlow && color ? blur : 0;
+  if (c.shadowBlur) c.shadowColor = color;
+}
+
+/* one block of cell value v at (x, y), `size` units square */
+function drawCell(c, v, x, y, size = 1, inset = 0.04 * size) {
+  c.fillStyle = palette[v] || theme.pieces.I;
+  c.fillRect(x, y, size, size);
+  c.fillStyle = "rgba(0,0,0,0.08)";
+  c.fillRect(x + inset, y + inset, size - inset * 2, size - inset * 2);
+  if (theme.patterns) drawPattern(c, v, x, y, size);
+}
+
+/* a dark glyph per piece, so pieces differ by more than colour */
+function drawPattern(c, v, x, y, s) {
+  const shadow = c.shadowBlur;
+  c.save();
+  c.shadowBlur = 0;
+  c.strokeStyle = "rgba(0,0,0,0.55)";
+  c.fillStyle = "rgba(0,0,0,0.55)";
+  c.lineWidth = s * 0.12;
+  const a = s * 0.25, b = s * 0.75, m = s * 0.5;
+  c.beginPath();
+  switch (v) {
+    case 1: c.moveTo(x + a, y + m); c.lineTo(x + b, y + m); break; // I: —
+    case 2: c.fillRect(x + s * 0.38, y + s * 0.38, s * 0.24, s * 0.24); break; // O: dot
+    case 3: c.moveTo(x + a, y + a); c.lineTo(x + b, y + a); c.moveTo(x + m, y + a); c.lineTo(x + m, y + b); break; // T
+    case 4: c.moveTo(x + a, y + b); c.lineTo(x + b, y + a); break; // S: /
+    case 5: c.moveTo(x + a, y + a); c.lineTo(x + b, y + b); break; // Z: the other diagonal
+    case 6: c.moveTo(x + m, y + a); c.lineTo(x + m, y + b); break; // J: |
+    case 7: c.rect(x + a, y + a, m, m); break; // L: ring
+    default: c.moveTo(x + a, y + a); c.lineTo(x + b, y + b); c.moveTo(x + b, y + a); c.lineTo(x + a, y + b); // garbage: x
+  }
+  c.stroke();
+  c.restore();
+  c.shadowBlur = shadow;
+}
+
+// Scoring / HUD
 const scoreEl = document.getElementById("score");
 const linesEl = document.getElementById("lines");
 const levelEl = document.getElementById("level");
+const comboEl = document.getElementById("combo");
+const highscoreEl = document.getElementById("highscore");
+const actionEl = document.getElementById("action-label");
+let actionLabelTimer = 0;
 const HIGH_SCORE_KEY = "neon_tetris_highscore";
 let highscore = Number(localStorage.getItem(HIGH_SCORE_KEY) || 0);
 
@@ -124,7 +363,10 @@ const perfToggle = document.getElementById("perf-toggle");
 const glowToggle = document.getElementById("glow-toggle");
 const fpsSlider = document.getElementById("fps-slider");
 const gravitySlider = document.getElementById("gravity-slider");
+const previewSlider = document.getElementById("preview-count");
+const previewValue = document.getElementById("preview-count-value");
 const gravityValue = document.getElementById("gravity-value");
+const speedCurveSelect = document.getElementById("speed-curve");
 const soundToggle = document.getElementById("sound-toggle");
 const closeSettings = document.getElementById("close-settings");
 const pauseBtn = document.getElementById("pause-btn");
@@ -133,8 +375,62 @@ const muteBtn = document.getElementById("mute-btn");
 
 function onIf(el, ev, fn) { if (el) el.addEventListener(ev, fn); }
 
-onIf(settingsBtn, "click", () => settingsPanel.classList.remove("hidden"));
-onIf(closeSettings, "click", () => settingsPanel.classList.add("hidden"));
+/* Dialogs: one panel open at a time. Opening focuses its first control and
+   Tab stays inside it; Escape or closing hands focus back to the opener. */
+const FOCUSABLE = "button, input, select, textarea, [tabindex]:not([tabindex='-1'])";
+let activeDialog = null;
+let dialogOpener = null;
+
+function focusables(panel) {
+  return [...panel.querySelectorAll(FOCUSABLE)].filter(el => !el.disabled && !el.closest(".hidden"));
+}
+
+function openDialog(panel) {
+  if (!panel) return;
+  // switching dialogs keeps the first one's opener
+  if (!activeDialog || !activeDialog.contains(document.activeElement)) dialogOpener = document.activeElement;
+  if (activeDialog && activeDialog !== panel) activeDialog.classList.add("hidden");
+  activeDialog = panel;
+  panel.classList.remove("hidden");
+  const first = focusables(panel)[0];
+  if (first) first.focus();
+}
+
+function closeDialog(panel) {
+  if (!panel) return;
+  panel.classList.add("hidden");
+  if (activeDialog !== panel) return;
+  activeDialog = null;
+  const opener = dialogOpener;
+  dialogOpener = null;
+  if (opener && opener.focus && document.contains(opener) && !opener.closest(".hidden")) opener.focus();
+}
+
+function inDialog(el) { return !!(activeDialog && el && activeDialog.contains(el)); }
+
+/* Escape and Tab for the open dialog; true when the key was used */
+function dialogKey(e) {
+  if (!activeDialog) return false;
+  if (e.key === "Escape") {
+    e.preventDefault();
+    closeDialog(activeDialog);
+    return true;
+  }
+  if (e.key !== "Tab") return false;
+  const items = focusables(activeDialog);
+  if (!items.length) return false;
+  const at = items.indexOf(document.activeElement);
+  const next = at < 0 ? (e.shiftKey ? items.length - 1 : 0)
+    : e.shiftKey ? (at === 0 ? items.length - 1 : -1)
+    : (at === items.length - 1 ? 0 : -1);
+  if (next < 0) return false;
+  e.preventDefault();
+  items[next].focus();
+  return true;
+}
+
+onIf(settingsBtn, "click", () => openDialog(settingsPanel));
+onIf(closeSettings, "click", () => closeDialog(settingsPanel));
 
 onIf(perfToggle, "change", () => {
   performanceMode = perfToggle.checked;
@@ -156,624 +452,3492 @@ onIf(fpsSlider, "input", () => {
 });
 
 onIf(glowToggle, "change", () => neonGlow = glowToggle.checked && !performanceMode);
-onIf(soundToggle, "change", () => soundEnabled = soundToggle.checked);
+onIf(soundToggle, "change", () => {
+  soundEnabled = soundToggle.checked;
+  if (muteBtn) muteBtn.textContent = soundEnabled ? "Mute" : "Unmute";
+  applyVolumes();
+});
 
 onIf(gravitySlider, "input", () => {
   gravityCPS = Number(gravitySlider.value);
-  if (gravityValue) gravityValue.textContent = `${gravityCPS} cps`;
+  game.configure({ fixedGravity: gravityCPS });
+  updateGravityLabel();
 });
 
-// mute / pause / restart
-onIf(pauseBtn, "click", () => { paused = !paused; pauseBtn.textContent = paused ? "Resume" : "Pause"; });
-onIf(restartBtn, "click", () => resetGame());
-onIf(muteBtn, "click", () => { soundEnabled = !soundEnabled; muteBtn.textContent = soundEnabled ? "Mute" : "Unmute"; });
+onIf(previewSlider, "input", () => setPreviewCount(Number(previewSlider.value)));
 
-/* initialize UI values */
-if (gravityValue) gravityValue.textContent = `${gravityCPS} cps`;
-if (fpsSlider) fpsSlider.value = String(Math.max(15, Math.min(60, targetFPS)));
-if (perfToggle) perfToggle.checked = performanceMode;
-if (glowToggle) glowToggle.checked = neonGlow;
-if (soundToggle) soundToggle.checked = soundEnabled;
+onIf(speedCurveSelect, "change", () => {
+  speedCurve = speedCurveSelect.value;
+  game.configure({ speedCurve });
+  updateGravityLabel();
+});
 
 /* ------------------------
-   Pieces & Random (7-bag)
+   Handling
+   One slider per numeric TetrisCore handling option. The soft drop slider
+   runs 1..41 with its top step meaning instant, which the engine spells 0.
 ---------------------------*/
-function createMatrix(w, h) {
-  return Array.from({ length: h }, () => Array(w).fill(0));
+const SOFT_DROP_INSTANT = 41;
+const HANDLING_CONTROLS = {
+  das: { id: "das-slider", min: 0, max: 400, label: v => `${v} ms` },
+  arr: { id: "arr-slider", min: 0, max: 100, label: v => v === 0 ? "Instant" : `${v} ms` },
+  dasCut: { id: "das-cut-slider", min: 0, max: 200, label: v => v === 0 ? "Off" : `${v} ms` },
+  softDrop: { id: "soft-drop-slider", min: 0, max: SOFT_DROP_INSTANT - 1, label: v => v === 0 ? "Instant" : `${v}×` },
+  lockDelay: { id: "lock-delay-slider", min: 100, max: 2000, label: v => `${v} ms` },
+  moveResets: { id: "move-resets-slider", min: 0, max: 30, label: v => String(v) }
+};
+const irsToggle = document.getElementById("irs-toggle");
+const ihsToggle = document.getElementById("ihs-toggle");
+const handlingResetBtn = document.getElementById("handling-reset");
+
+/* a complete, in-range handling config from saved or replayed data */
+function normalizeHandling(saved) {
+  const out = Object.assign({}, DEFAULT_HANDLING);
+  if (!saved || typeof saved !== "object") return out;
+  for (const key of Object.keys(HANDLING_CONTROLS)) {
+    const { min, max } = HANDLING_CONTROLS[key];
+    if (Number.isFinite(saved[key])) out[key] = Math.max(min, Math.min(max, Math.round(saved[key])));
+  }
+  out.irs = saved.irs === true;
+  out.ihs = saved.ihs === true;
+  return out;
 }
 
-function createPiece(type) {
-  const shapes = {
-    T: [[0,1,0],[1,1,1],[0,0,0]],
-    O: [[1,1],[1,1]],
-    L: [[0,0,1],[1,1,1],[0,0,0]],
-    J: [[1,0,0],[1,1,1],[0,0,0]],
-    I: [[0,0,0,0],[1,1,1,1],[0,0,0,0],[0,0,0,0]],
-    S: [[0,1,1],[1,1,0],[0,0,0]],
-    Z: [[1,1,0],[0,1,1],[0,0,0]]
-  };
-  const shape = shapes[type];
-  return shape ? shape.map(r => r.slice()) : null;
+function setHandling(next) {
+  handling = normalizeHandling(next);
+  game.configure({ handling });
+  if (duelActive()) p2Game.configure({ handling });
+  renderHandling();
 }
 
-const PIECE_IDS = { I:1, O:2, T:3, S:4, Z:5, J:6, L:7 };
-const PALETTE = { 1: "#0ff", 2:"#f0f", 3:"#ff0", 4:"#0f0", 5:"#09f", 6:"#f90", 7:"#f09" };
-
-function shuffleBag() {
-  const bag = "ILJOTSZ".split('');
-  for (let i = bag.length - 1; i > 0; --i) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [bag[i], bag[j]] = [bag[j], bag[i]];
+function renderHandling() {
+  for (const key of Object.keys(HANDLING_CONTROLS)) {
+    const control = HANDLING_CONTROLS[key];
+    const slider = document.getElementById(control.id);
+    const value = document.getElementById(control.id.replace("-slider", "-value"));
+    if (slider) slider.value = String(key === "softDrop" && handling.softDrop === 0 ? SOFT_DROP_INSTANT : handling[key]);
+    if (value) value.textContent = control.label(handling[key]);
   }
-  return bag;
+  if (irsToggle) irsToggle.checked = handling.irs;
+  if (ihsToggle) ihsToggle.checked = handling.ihs;
 }
 
-/* populate initial queue */
-function refillQueue() {
-  while (nextQueue.length < QUEUE_SIZE) {
-    if (!refillQueue.bag || refillQueue.index >= refillQueue.bag.length) {
-      refillQueue.bag = shuffleBag();
-      refillQueue.index = 0;
-    }
-    nextQueue.push(refillQueue.bag[refillQueue.index++]);
-  }
+for (const key of Object.keys(HANDLING_CONTROLS)) {
+  const slider = document.getElementById(HANDLING_CONTROLS[key].id);
+  onIf(slider, "input", () => {
+    let value = Number(slider.value);
+    if (key === "softDrop" && value >= SOFT_DROP_INSTANT) value = 0;
+    setHandling(Object.assign({}, handling, { [key]: value }));
+  });
 }
+onIf(irsToggle, "change", () => setHandling(Object.assign({}, handling, { irs: irsToggle.checked })));
+onIf(ihsToggle, "change", () => setHandling(Object.assign({}, handling, { ihs: ihsToggle.checked })));
+onIf(handlingResetBtn, "click", () => {
+  setHandling(DEFAULT_HANDLING);
+  saveSettings();
+});
 
 /* ------------------------
-   Collision, rotation, wall kicks
+   Board size
+   The visible field is any size within BOARD_LIMITS; the engines keep
+   their hidden buffer rows above it. A change starts a fresh game, since
+   the engines only resize on reset. Records only count on 10×20.
 ---------------------------*/
-function collide(arena, playerX, playerY, matrix) {
-  for (let y = 0; y < matrix.length; ++y) {
-    for (let x = 0; x < matrix[y].length; ++x) {
-      if (!matrix[y][x]) continue;
-      const ax = x + playerX, ay = y + playerY;
-      if (ax < 0 || ax >= COLS || ay >= ROWS) return true;
-      if (ay >= 0 && arena[ay][ax]) return true;
-    }
-  }
-  return false;
-}
-
-/* rotate matrix clockwise (dir = 1) or ccw (dir = -1) */
-function rotateMatrix(matrix, dir) {
-  for (let y = 0; y < matrix.length; ++y)
-    for (let x = 0; x < y; ++x)
-      [matrix[x][y], matrix[y][x]] = [matrix[y][x], matrix[x][y]];
-  if (dir > 0) matrix.forEach(row => row.reverse());
-  else matrix.reverse();
-}
-
-/* basic wall kicks: try offsets left/right/up to avoid collision */
-function rotatePlayer(dir) {
-  if (!player.matrix) return;
-  const old = player.matrix.map(r => r.slice());
-  rotateMatrix(player.matrix, dir);
-  const originalX = player.pos.x;
-
-  const kicks = [0, 1, -1, 2, -2];
-  for (let i = 0; i < kicks.length; ++i) {
-    player.pos.x = originalX + kicks[i];
-    if (!collide(arena, player.pos.x, Math.round(player.pos.y), player.matrix)) {
-      // reset ground/lock because rotation moved piece
-      lockTimer = 0;
-      onGround = false;
-      return;
-    }
+const BOARD_LIMITS = { cols: [4, 20], rows: [10, 30] };
+const BOARD_PRESETS = {
+  standard: { label: "Standard 10×20", cols: 10, rows: 20 },
+  wide: { label: "Wide 12×20", cols: 12, rows: 20 }
+};
+const boardSizeSelect = document.getElementById("board-size");
+const boardColsInput = document.getElementById("board-cols");
+const boardRowsInput = document.getElementById("board-rows");
+const partialLockOutToggle = document.getElementById("partial-lock-out");
+
+if (boardSizeSelect) {
+  for (const key of Object.keys(BOARD_PRESETS).concat("custom")) {
+    const opt = document.createElement("option");
+    opt.value = key;
+    opt.textContent = key === "custom" ? "Custom" : BOARD_PRESETS[key].label;
+    boardSizeSelect.appendChild(opt);
   }
-  // failed to rotate: restore
-  player.matrix = old;
-  player.pos.x = originalX;
 }
 
-/* ------------------------
-   Merge / Sweep / Score
----------------------------*/
-function mergeToArena() {
-  for (let y = 0; y < player.matrix.length; ++y) {
-    for (let x = 0; x < player.matrix[y].length; ++x) {
-      if (!player.matrix[y][x]) continue;
-      const ax = x + player.pos.x, ay = y + Math.floor(player.pos.y);
-      if (ay >= 0 && ay < ROWS && ax >= 0 && ax < COLS) {
-        arena[ay][ax] = player.matrix[y][x];
-      }
-    }
-  }
+const clampBoard = (value, [min, max], fallback) => Number.isFinite(value) ? Math.max(min, Math.min(max, Math.round(value))) : fallback;
+
+/* resize every engine's field (from its next reset) and the canvases */
+function setBoard(board) {
+  boardCols = clampBoard(board.cols, BOARD_LIMITS.cols, TetrisCore.DEFAULT_COLS);
+  boardRows = clampBoard(board.rows, BOARD_LIMITS.rows, TetrisCore.DEFAULT_ROWS);
+  partialLockOut = board.partialLockOut === true;
+  for (const g of [game, p2Game, cpuGame]) g.configure({ cols: boardCols, rows: boardRows, partialLockOut });
+  setupCanvas();
+  renderBoardControls();
 }
 
-function sweep() {
-  let cleared = 0;
-  outer: for (let y = ROWS - 1; y >= 0; --y) {
-    for (let x = 0; x < COLS; ++x) {
-      if (arena[y][x] === 0) continue outer;
-    }
-    arena.splice(y, 1);
-    arena.unshift(new Array(COLS).fill(0));
-    cleared++;
-    y++;
-  }
-  if (cleared > 0) {
-    const lineScores = [0, 40, 100, 300, 1200];
-    score += (lineScores[cleared] || 0) * (level + 1);
-    lines += cleared;
-    level = Math.floor(lines / 10);
-    // speed up gravity slightly per level (optional)
-    // gravityCPS = Math.min(20, gravityCPS + cleared * 0.1);
-    if (scoreEl) scoreEl.textContent = String(score);
-    if (linesEl) linesEl.textContent = String(lines);
-    if (levelEl) levelEl.textContent = String(level);
-    if (score > highscore) {
-      highscore = score;
-      localStorage.setItem(HIGH_SCORE_KEY, String(highscore));
-    }
-    playSound('line');
-  }
+function renderBoardControls() {
+  const preset = Object.keys(BOARD_PRESETS).find(k => BOARD_PRESETS[k].cols === boardCols && BOARD_PRESETS[k].rows === boardRows);
+  if (boardSizeSelect) boardSizeSelect.value = preset || "custom";
+  if (boardColsInput) boardColsInput.value = String(boardCols);
+  if (boardRowsInput) boardRowsInput.value = String(boardRows);
+  if (partialLockOutToggle) partialLockOutToggle.checked = partialLockOut;
 }
 
-/* ------------------------
-   Player lifecycle
----------------------------*/
-function spawnPlayer() {
-  refillQueue();
-  const type = nextQueue.shift();
-  refillQueue();
-  const matrix = createPiece(type);
-  // map 1's to id for color
-  const id = PIECE_IDS[type] || 1;
-  for (let y = 0; y < matrix.length; ++y) for (let x = 0; x < matrix[y].length; ++x) if (matrix[y][x]) matrix[y][x] = id;
-  player.matrix = matrix;
-  player.id = id;
-  player.pos.x = Math.floor(COLS / 2) - Math.floor(matrix[0].length / 2);
-  player.pos.y = -1; // spawn slightly above
-  holdUsed = false;
-  // reset lock/onGround
-  lockTimer = 0;
-  onGround = false;
-  drawNext();
-  drawHold();
+function isStandardBoard() {
+  return boardCols === TetrisCore.DEFAULT_COLS && boardRows === TetrisCore.DEFAULT_ROWS;
 }
 
-function hardDrop() {
-  if (!player.matrix || gameOver || paused) return;
-  let drop = 0;
-  while (!collide(arena, player.pos.x, Math.floor(player.pos.y + drop + 1), player.matrix)) drop++;
-  player.pos.y += drop;
-  mergeToArena();
-  playSound('hard');
-  sweep();
-  spawnPlayer();
-  dropAccumulator = 0;
-}
-
-function softDropStart() { /* handled by input state toggle */ }
-
-/* hold piece */
-function holdSwap() {
-  if (!player.matrix || holdUsed || gameOver || paused) return;
-  playSound('hold');
-  if (!holdPiece) {
-    holdPiece = Object.keys(PIECE_IDS)[Object.values(PIECE_IDS).indexOf(player.id)];
-    // store id-type string
-    const idType = holdPiece;
-    spawnPlayer();
-  } else {
-    // swap current piece with hold
-    const curType = Object.keys(PIECE_IDS)[Object.values(PIECE_IDS).indexOf(player.id)];
-    const holdType = holdPiece;
-    holdPiece = curType;
-    // set player to holdType
-    const matrix = createPiece(holdType);
-    const id = PIECE_IDS[holdType];
-    for (let y = 0; y < matrix.length; ++y) for (let x = 0; x < matrix[y].length; ++x) if (matrix[y][x]) matrix[y][x] = id;
-    player.matrix = matrix;
-    player.id = id;
-    player.pos.x = Math.floor(COLS / 2) - Math.floor(matrix[0].length / 2);
-    player.pos.y = -1;
-  }
-  holdUsed = true;
-  drawHold();
+/* like a mode change: a new game on the new field */
+function changeBoard(board) {
+  releaseAllInputs();
+  setBoard(board);
+  if (replay.mode === "playback") stopPlayback();
+  else if (screen === "title") resetGame();
+  else startGame();
 }
 
+onIf(boardSizeSelect, "change", () => {
+  const preset = BOARD_PRESETS[boardSizeSelect.value];
+  if (preset) changeBoard({ cols: preset.cols, rows: preset.rows, partialLockOut });
+});
+onIf(boardColsInput, "change", () => changeBoard({ cols: Number(boardColsInput.value), rows: boardRows, partialLockOut }));
+onIf(boardRowsInput, "change", () => changeBoard({ cols: boardCols, rows: Number(boardRowsInput.value), partialLockOut }));
+onIf(partialLockOutToggle, "change", () => changeBoard({ cols: boardCols, rows: boardRows, partialLockOut: partialLockOutToggle.checked }));
+
+/* the slider only drives gravity on the "fixed" curve; otherwise show the live value */
+function updateGravityLabel() {
+  if (gravitySlider) gravitySlider.disabled = speedCurve !== "fixed";
+  if (!gravityValue) return;
+  const cps = gravityFor(speedCurve, game.getState().level, gravityCPS);
+  gravityValue.textContent = cps >= MAX_GRAVITY ? "20G" : `${Math.round(cps * 100) / 100} cps`;
+}
+
+// mute / pause / restart
+onIf(pauseBtn, "click", () => togglePause());
+onIf(restartBtn, "click", () => startGame());
+onIf(muteBtn, "click", () => {
+  soundEnabled = !soundEnabled;
+  muteBtn.textContent = soundEnabled ? "Mute" : "Unmute";
+  if (soundToggle) soundToggle.checked = soundEnabled;
+  applyVolumes();
+  saveSettings();
+});
+
+/* initialize UI values */
+if (speedCurveSelect) speedCurveSelect.value = speedCurve;
+updateGravityLabel();
+if (fpsSlider) fpsSlider.value = String(Math.max(15, Math.min(60, targetFPS)));
+if (perfToggle) perfToggle.checked = performanceMode;
+if (glowToggle) glowToggle.checked = neonGlow;
+if (soundToggle) soundToggle.checked = soundEnabled;
+
 /* ------------------------
-   Ghost piece (show where it lands)
+   HUD
 ---------------------------*/
-function computeGhostY() {
-  if (!player.matrix) return Math.floor(player.pos.y);
-  let drop = 0;
-  while (!collide(arena, player.pos.x, Math.floor(player.pos.y + drop + 1), player.matrix)) drop++;
-  return Math.floor(player.pos.y + drop);
+function showActionLabel(text) {
+  if (!actionEl) return;
+  actionEl.textContent = text;
+  actionEl.classList.add("visible");
+  clearTimeout(actionLabelTimer);
+  actionLabelTimer = setTimeout(() => actionEl.classList.remove("visible"), 1500);
+}
+
+function updateHud() {
+  const { score, lines, level, combo } = game.getState();
+  if (scoreEl) scoreEl.textContent = String(score);
+  if (linesEl) linesEl.textContent = String(lines);
+  if (levelEl) levelEl.textContent = String(level);
+  if (comboEl) comboEl.textContent = String(Math.max(0, combo));
+  if (score > highscore) {
+    highscore = score;
+    localStorage.setItem(HIGH_SCORE_KEY, String(highscore));
+  }
+  if (highscoreEl) highscoreEl.textContent = String(highscore);
 }
 
 /* ------------------------
    Drawing optimized
 ---------------------------*/
-function drawMatrix(matrix, offsetX, offsetY, drawGhost=false) {
+function drawMatrix(c, matrix, offsetX, offsetY) {
   // set shadow once
-  if (neonGlow) {
-    ctx.shadowBlur = 16;
-    ctx.shadowColor = "#0ff";
-  } else {
-    ctx.shadowBlur = 0;
-  }
+  setGlow(c, 16);
 
   for (let y = 0; y < matrix.length; ++y) {
     for (let x = 0; x < matrix[y].length; ++x) {
       const val = matrix[y][x];
       if (!val) continue;
-      ctx.fillStyle = PALETTE[val] || "#0ff";
-      ctx.fillRect(x + offsetX, y + offsetY, 1, 1);
-      ctx.fillStyle = "rgba(0,0,0,0.08)";
-      ctx.fillRect(x + offsetX + 0.04, y + offsetY + 0.04, 0.92, 0.92);
+      drawCell(c, val, x + offsetX, y + offsetY);
     }
   }
+}
 
-  if (drawGhost) {
-    // draw shadow of ghost piece
-    const ghostY = computeGhostY();
-    ctx.save();
-    ctx.globalAlpha = 0.35;
-    for (let y = 0; y < player.matrix.length; ++y) {
-      for (let x = 0; x < player.matrix[y].length; ++x) {
-        if (!player.matrix[y][x]) continue;
-        ctx.fillStyle = PALETTE[player.matrix[y][x]] || "#0ff";
-        ctx.fillRect(x + player.pos.x, y + ghostY, 1, 1);
-      }
+/* bounding box of a piece's filled cells in its spawn matrix */
+function pieceBounds(matrix) {
+  let x0 = Infinity, y0 = Infinity, x1 = -1, y1 = -1;
+  matrix.forEach((row, y) => row.forEach((v, x) => {
+    if (!v) return;
+    x0 = Math.min(x0, x); x1 = Math.max(x1, x);
+    y0 = Math.min(y0, y); y1 = Math.max(y1, y);
+  }));
+  return { x0, y0, w: x1 - x0 + 1, h: y1 - y0 + 1 };
+}
+
+/* a piece centred on (cx, cy) with cells of `cell` px (previews draw in CSS px) */
+function drawPiecePreview(c, type, cx, cy, cell) {
+  const matrix = createPiece(type);
+  const b = pieceBounds(matrix);
+  const left = cx - b.w * cell / 2, top = cy - b.h * cell / 2;
+  for (let y = 0; y < b.h; ++y) {
+    for (let x = 0; x < b.w; ++x) {
+      const v = matrix[y + b.y0][x + b.x0];
+      if (!v) continue;
+      drawCell(c, v, left + x * cell, top + y * cell, cell, 2);
     }
-    ctx.restore();
   }
 }
 
-function drawPreviewCanvas(cctx, type) {
-  if (!cctx) return;
-  // clear
-  const px = cctx.canvas.width;
-  const py = cctx.canvas.height;
-  cctx.clearRect(0,0,px,py);
-  cctx.fillStyle = "#000";
-  cctx.fillRect(0,0,px,py);
+/* CSS px size of a preview canvas (its backing store is DPR-scaled) */
+function previewSize(c) {
+  const dpr = window.devicePixelRatio || 1;
+  return { w: c.canvas.width / dpr, h: c.canvas.height / dpr };
+}
 
-  if (!type) return;
-  const matrix = createPiece(type);
-  const id = PIECE_IDS[type];
-  // scale to canvas: cell size
-  const cell = px / 4;
-  const offsetX = (4 - matrix[0].length) / 2;
-  const offsetY = (4 - matrix.length) / 2;
-  cctx.save();
-  cctx.fillStyle = "#0ff";
+/* one piece (or nothing) centred on a preview canvas, e.g. hold */
+function drawPreviewCanvas(c, type) {
+  if (!c) return;
+  const { w, h } = previewSize(c);
+  c.fillStyle = theme.background;
+  c.fillRect(0, 0, w, h);
+  if (type) drawPiecePreview(c, type, w / 2, h / 2, PREVIEW_CELL);
+}
+
+/* the next `count` pieces as a vertical stack, the first one larger */
+function drawQueuePreview(c, queue, count) {
+  if (!c) return;
+  const { w, h } = previewSize(c);
+  c.fillStyle = theme.background;
+  c.fillRect(0, 0, w, h);
+  let top = 0;
+  queue.slice(0, count).forEach((type, i) => {
+    const slot = i === 0 ? PREVIEW_FIRST_SLOT : PREVIEW_SLOT;
+    drawPiecePreview(c, type, w / 2, top + slot / 2, i === 0 ? PREVIEW_CELL : PREVIEW_SMALL_CELL);
+    top += slot;
+  });
+}
+
+/* Outline the cells of matrix at (ox, oy), tracing only its outer edges */
+function drawOutline(c, matrix, ox, oy, color) {
+  const filled = (x, y) => y >= 0 && y < matrix.length && x >= 0 && x < matrix[y].length && matrix[y][x];
+  c.save();
+  c.strokeStyle = color;
+  c.lineWidth = 0.1;
+  c.beginPath();
   for (let y = 0; y < matrix.length; ++y) {
     for (let x = 0; x < matrix[y].length; ++x) {
-      if (matrix[y][x]) {
-        cctx.fillStyle = PALETTE[id] || "#0ff";
-        cctx.fillRect((x + offsetX) * cell, (y + offsetY) * cell, cell, cell);
-        cctx.fillStyle = "rgba(0,0,0,0.08)";
-        cctx.fillRect((x + offsetX) * cell + 2, (y + offsetY) * cell + 2, cell - 4, cell - 4);
-      }
+      if (!matrix[y][x]) continue;
+      const px = x + ox, py = y + oy;
+      if (!filled(x, y - 1)) { c.moveTo(px, py); c.lineTo(px + 1, py); }
+      if (!filled(x, y + 1)) { c.moveTo(px, py + 1); c.lineTo(px + 1, py + 1); }
+      if (!filled(x - 1, y)) { c.moveTo(px, py); c.lineTo(px, py + 1); }
+      if (!filled(x + 1, y)) { c.moveTo(px + 1, py); c.lineTo(px + 1, py + 1); }
     }
   }
-  cctx.restore();
+  c.stroke();
+  c.restore();
 }
 
-/* Draw full scene (uses tile coordinates scale) */
-function drawScene(interpYOffset = 0) {
+/* faint cell grid behind the stack */
+function drawGrid(c, cols, rows) {
+  c.save();
+  c.strokeStyle = theme.grid;
+  c.lineWidth = 0.04;
+  c.beginPath();
+  for (let x = 1; x < cols; ++x) { c.moveTo(x, 0); c.lineTo(x, rows); }
+  for (let y = 1; y < rows; ++y) { c.moveTo(0, y); c.lineTo(cols, y); }
+  c.stroke();
+  c.restore();
+}
+
+/* Draw one board from an engine state onto c (uses tile coordinates scale);
+   hint is an optional bot move drawn as an outlined second ghost */
+function drawBoard(c, state, interpYOffset = 0, hint = null) {
+  const { arena, player, ghostY, gameOver, cols, rows, buffer } = state;
   // background
-  ctx.fillStyle = "#000";
-  ctx.fillRect(0,0,COLS,ROWS);
+  c.fillStyle = theme.background;
+  c.fillRect(0,0,cols,rows);
+  if (theme.grid) drawGrid(c, cols, rows);
+  // the rest is in arena rows; the hidden buffer sits above the canvas
+  c.save();
+  c.translate(0, -buffer);
 
   // arena
-  drawMatrix(arena, 0, 0, false);
-
-  // ghost
-  if (player.matrix) {
-    // ghost drawn via drawMatrix's ghost path
-    // but we want to draw it on top of board and below piece
-    // so compute ghost separately
-    const ghostY = computeGhostY();
-    ctx.save();
-    ctx.globalAlpha = 0.25;
+  drawMatrix(c, arena, 0, 0);
+
+  // ghost: on top of board and below piece
+  if (player && theme.ghost === "outline") {
+    drawOutline(c, player.matrix, player.pos.x, ghostY, palette[PIECE_IDS[player.type]]);
+  } else if (player) {
+    c.save();
+    c.globalAlpha = 0.25;
+    c.shadowBlur = 0;
     for (let y = 0; y < player.matrix.length; ++y) {
       for (let x = 0; x < player.matrix[y].length; ++x) {
         if (!player.matrix[y][x]) continue;
-        ctx.fillStyle = PALETTE[player.matrix[y][x]] || "#0ff";
-        ctx.fillRect(x + player.pos.x, y + ghostY, 1, 1);
+        c.fillStyle = palette[player.matrix[y][x]];
+        c.fillRect(x + player.pos.x, y + ghostY, 1, 1);
       }
     }
-    ctx.restore();
+    c.restore();
+  }
+
+  if (hint && !gameOver) {
+    const { placement } = hint;
+    // dashed when the suggestion is to hold first
+    if (hint.hold) c.setLineDash([0.25, 0.15]);
+    drawOutline(c, placement.matrix, placement.x, placement.y, palette[PIECE_IDS[placement.type]] || "#fff");
+    c.setLineDash([]);
   }
 
   // player with fractional y offset (interpYOffset)
-  if (player.matrix && !gameOver) {
-    ctx.save();
-    if (neonGlow) {
-      ctx.shadowBlur = 16;
-      ctx.shadowColor = "#0ff";
-    } else {
-      ctx.shadowBlur = 0;
-    }
+  if (player && !gameOver) {
+    c.save();
+    setGlow(c, 16);
     for (let y = 0; y < player.matrix.length; ++y) {
       for (let x = 0; x < player.matrix[y].length; ++x) {
         if (!player.matrix[y][x]) continue;
-        ctx.fillStyle = PALETTE[player.matrix[y][x]] || "#0ff";
-        ctx.fillRect(x + player.pos.x, y + player.pos.y + interpYOffset, 1, 1);
-        ctx.fillStyle = "rgba(0,0,0,0.08)";
-        ctx.fillRect(x + player.pos.x + 0.04, y + player.pos.y + interpYOffset + 0.04, 0.92, 0.92);
+        drawCell(c, player.matrix[y][x], x + player.pos.x, y + player.pos.y + interpYOffset);
       }
     }
-    ctx.restore();
+    c.restore();
   }
+  c.restore();
+}
+
+/* Draw full scene: the player's board, the CPU / player 2 / online opponent
+   board in versus modes, and the current screen's overlay */
+function drawScene(interpYOffset = 0) {
+  // the title and pause screens hide every board
+  const covered = screen === "title" || screen === "paused";
+  if (covered) clearBoard(ctx);
+  else drawBoardWithEffects(ctx, game, game.getState(), interpYOffset, showHint && !demoPlayer ? hintMove : trainerOutline());
+  if (versusActive()) {
+    const cpuState = cpuGame.getState();
+    if (cpuCtx) { if (covered) clearBoard(cpuCtx); else drawBoardWithEffects(cpuCtx, cpuGame, cpuState, cpuState.dropProgress); }
+    updateVersusHud();
+  } else if (duelActive()) {
+    const p2State = p2Game.getState();
+    if (p2Ctx) { if (covered) clearBoard(p2Ctx); else drawBoardWithEffects(p2Ctx, p2Game, p2State, p2State.dropProgress); }
+    setMeter(playerMeter, game.getState().pendingGarbage);
+    setMeter(p2Meter, p2State.pendingGarbage);
+  } else if (onlineActive()) {
+    drawOpponent(covered);
+    setMeter(playerMeter, game.getState().pendingGarbage);
+  }
+  drawScreenOverlay();
 }
 
 /* draw next / hold */
 function drawNext() {
-  if (!nextCtx) return;
-  drawPreviewCanvas(nextCtx, nextQueue[0]);
+  drawQueuePreview(nextCtx, game.getState().queue, previewCount);
+}
+
+/* resize the next stacks for a new preview count; 0 hides them (a training handicap) */
+function setPreviewCount(count) {
+  previewCount = Math.max(0, Math.min(MAX_PREVIEWS, Math.round(count)));
+  for (const id of ["next-piece", "p2-next-piece"]) {
+    const el = document.getElementById(id);
+    if (el) el.classList.toggle("hidden", previewCount === 0);
+  }
+  if (previewSlider) previewSlider.value = String(previewCount);
+  if (previewValue) previewValue.textContent = String(previewCount);
+  setupCanvas();
+  drawNext();
+  drawHold();
+  updateP2Hud();
 }
 function drawHold() {
   if (!holdCtx) return;
-  drawPreviewCanvas(holdCtx, holdPiece);
+  drawPreviewCanvas(holdCtx, game.getState().hold);
 }
 
 /* ------------------------
-   Sound (simple beeps)
+   Sound
+   Everything is synthesized: short oscillator / noise voices for effects
+   and a step-sequenced background track. Effects and music each have a
+   gain bus feeding the master bus, so the three volumes mix independently
+   and mute only has to silence the master.
 ---------------------------*/
-function playBeep(freq = 440, length = 0.05, type = 'sine') {
-  if (!audioCtx || !soundEnabled) return;
+const masterVolumeSlider = document.getElementById("master-volume");
+const sfxVolumeSlider = document.getElementById("sfx-volume");
+const musicVolumeSlider = document.getElementById("music-volume");
+const musicToggle = document.getElementById("music-toggle");
+const volumes = { master: 80, sfx: 80, music: 50 }; // 0..100
+let musicEnabled = true;
+
+const buses = audioCtx ? {
+  master: audioCtx.createGain(),
+  sfx: audioCtx.createGain(),
+  music: audioCtx.createGain()
+} : null;
+if (buses) {
+  buses.sfx.connect(buses.master);
+  buses.music.connect(buses.master);
+  buses.master.connect(audioCtx.destination);
+}
+// one second of white noise, shared by every percussive voice
+const noiseBuffer = audioCtx ? makeNoise(audioCtx) : null;
+
+function makeNoise(ac) {
+  const buffer = ac.createBuffer(1, ac.sampleRate, ac.sampleRate);
+  const data = buffer.getChannelData(0);
+  for (let i = 0; i < data.length; ++i) data[i] = Math.random() * 2 - 1;
+  return buffer;
+}
+
+/* push the volume sliders and mute state into the bus gains */
+function applyVolumes() {
+  if (!buses) return;
+  const now = audioCtx.currentTime;
+  buses.master.gain.setTargetAtTime(soundEnabled ? volumes.master / 100 : 0, now, 0.02);
+  buses.sfx.gain.setTargetAtTime(volumes.sfx / 100, now, 0.02);
+  buses.music.gain.setTargetAtTime(volumes.music / 100, now, 0.02);
+}
+
+/* browsers start audio suspended until the page gets a gesture */
+function resumeAudio() {
+  if (audioCtx && audioCtx.state === "suspended") audioCtx.resume();
+}
+for (const ev of ["pointerdown", "keydown", "touchend"]) document.addEventListener(ev, resumeAudio, true);
+
+/* one oscillator note: freq glides to `to` over its length, pan runs -1 (left) to 1 (right) */
+function tone({ freq, to = freq, length = 0.05, type = "sine", gain = 0.2, when = 0, bus = "sfx", pan = 0 }) {
+  if (!buses) return;
+  const start = audioCtx.currentTime + when;
   const o = audioCtx.createOscillator();
   const g = audioCtx.createGain();
   o.type = type;
-  o.frequency.value = freq;
+  o.frequency.setValueAtTime(freq, start);
+  if (to !== freq) o.frequency.exponentialRampToValueAtTime(to, start + length);
+  g.gain.setValueAtTime(0.0001, start);
+  g.gain.exponentialRampToValueAtTime(gain, start + 0.005);
+  g.gain.exponentialRampToValueAtTime(0.0001, start + length);
   o.connect(g);
-  g.connect(audioCtx.destination);
-  g.gain.value = 0.0001;
-  const now = audioCtx.currentTime;
-  g.gain.exponentialRampToValueAtTime(0.2, now + 0.01);
-  g.gain.exponentialRampToValueAtTime(0.0001, now + length);
-  o.start(now);
-  o.stop(now + length + 0.02);
+  if (pan && audioCtx.createStereoPanner) {
+    const p = audioCtx.createStereoPanner();
+    p.pan.setValueAtTime(pan, start);
+    g.connect(p);
+    p.connect(buses[bus]);
+  } else {
+    g.connect(buses[bus]);
+  }
+  o.start(start);
+  o.stop(start + length + 0.02);
+}
+
+/* a burst of filtered noise (clicks, thumps, hats) */
+function noise({ length = 0.05, filter = 2000, kind = "lowpass", gain = 0.2, when = 0, bus = "sfx" }) {
+  if (!buses) return;
+  const start = audioCtx.currentTime + when;
+  const src = audioCtx.createBufferSource();
+  const f = audioCtx.createBiquadFilter();
+  const g = audioCtx.createGain();
+  src.buffer = noiseBuffer;
+  f.type = kind;
+  f.frequency.value = filter;
+  g.gain.setValueAtTime(gain, start);
+  g.gain.exponentialRampToValueAtTime(0.0001, start + length);
+  src.connect(f);
+  f.connect(g);
+  g.connect(buses[bus]);
+  src.start(start);
+  src.stop(start + length + 0.02);
+}
+
+const midiToFreq = n => 440 * Math.pow(2, (n - 69) / 12);
+
+/* notes (MIDI numbers) one after another, `gap` seconds apart */
+function arpeggio(notes, gap, voice) {
+  notes.forEach((n, i) => tone(Object.assign({ freq: midiToFreq(n), when: i * gap }, voice)));
+}
+
+/* the clear sound grows with the clear: more notes, brighter waves */
+function playClear(e) {
+  const root = 72;
+  const major = [0, 4, 7, 12, 16];
+  if (e.perfectClear) {
+    arpeggio([0, 4, 7, 12, 16, 19, 24].map(n => root + n), 0.05, { type: "square", length: 0.18, gain: 0.12 });
+  } else if (e.tspin) {
+    // spins get a darker, minor colour
+    arpeggio([0, 3, 7, 10, 15].slice(0, e.cleared + 1).map(n => root - 5 + n), 0.06, { type: "square", length: 0.14, gain: 0.14 });
+  } else if (e.cleared >= 4) {
+    arpeggio(major.map(n => root + n), 0.045, { type: "sawtooth", length: 0.16, gain: 0.12 });
+    noise({ length: 0.4, filter: 6000, kind: "highpass", gain: 0.08, when: 0.1 });
+  } else {
+    arpeggio(major.slice(0, e.cleared).map(n => root + n), 0.05, { type: "triangle", length: 0.12, gain: 0.2 });
+  }
+  if (e.b2b) tone({ freq: midiToFreq(root + 24), length: 0.25, type: "sine", gain: 0.08, when: 0.2 });
 }
-function playSound(name) {
+
+function playSound(name, event) {
   if (!soundEnabled) return;
   switch (name) {
-    case 'line': playBeep(880, 0.08, 'sawtooth'); break;
-    case 'hard': playBeep(1200, 0.04); break;
-    case 'hold': playBeep(600, 0.04); break;
-    default: playBeep(440, 0.02); break;
+    case 'move': noise({ length: 0.02, filter: 3000, gain: 0.08 }); break;
+    case 'rotate': tone({ freq: 520, to: 780, length: 0.045, type: "triangle", gain: 0.12 }); break;
+    case 'lock':
+      noise({ length: 0.06, filter: 500, gain: 0.2 });
+      tone({ freq: 140, to: 90, length: 0.06, gain: 0.15 });
+      break;
+    case 'hard':
+      noise({ length: 0.1, filter: 900, gain: 0.25 });
+      tone({ freq: 220, to: 55, length: 0.12, gain: 0.25 });
+      break;
+    case 'hold': tone({ freq: 660, to: 440, length: 0.07, type: "triangle", gain: 0.14 }); break;
+    case 'clear': playClear(event); break;
+    case 'levelUp': arpeggio([67, 71, 74, 79], 0.07, { type: "square", length: 0.1, gain: 0.1 }); break;
+    case 'start': arpeggio([60, 67], 0.08, { type: "triangle", length: 0.1, gain: 0.15 }); break;
+    case 'gameOver':
+      tone({ freq: 440, to: 55, length: 1.1, type: "sawtooth", gain: 0.12 });
+      arpeggio([64, 60, 57, 52], 0.18, { type: "triangle", length: 0.25, gain: 0.12 });
+      break;
+    default: tone({ freq: 440, length: 0.03 }); break;
   }
 }
 
 /* ------------------------
-   Input Handling (keyboard + touch) + DAS/ARR
+   Music
+   A 64-step (four bar) loop of bass, lead and drums, scheduled a little
+   ahead of audioCtx.currentTime from the render loop. Tempo rises with
+   the level; it only plays while a game is being played.
 ---------------------------*/
-const keyState = {};
-document.addEventListener("keydown", e => {
-  if (e.repeat) return;
-  keyState[e.key] = true;
-
-  switch (e.key) {
-    case "ArrowLeft":
-      dasStart('left'); moveOnce(-1); break;
-    case "ArrowRight":
-      dasStart('right'); moveOnce(1); break;
-    case "ArrowDown":
-      keyState.soft = true; break;
-    case "ArrowUp":
-      rotatePlayer(1); playSound('move'); break;
-    case " ":
-      e.preventDefault(); hardDrop(); break;
-    case "c": case "C":
-      holdSwap(); break;
-    case "p": case "P":
-      paused = !paused; if (pauseBtn) pauseBtn.textContent = paused ? "Resume" : "Pause"; break;
-    case "Escape":
-      paused = true; break;
-  }
-});
+const MUSIC_AHEAD = 0.2; // seconds scheduled ahead of the audio clock
+const MUSIC_CHORDS = [57, 53, 48, 55]; // A minor, F, C, G roots (MIDI), one per bar
+// lead: steps into the chord's scale (0 = root), null = rest; 16 steps per bar
+const MUSIC_LEAD = [
+  7, null, 12, null, 10, 7, null, 5, 7, null, null, 3, 5, null, 7, null,
+  12, null, 10, null, 7, null, 5, 7, null, 3, null, 5, 3, null, 0, null,
+  7, null, 12, 14, 15, null, 14, 12, 10, null, 12, null, 7, null, null, null,
+  5, null, 7, null, 3, 5, null, 2, 0, null, null, null, 2, null, 3, null
+];
+const music = { playing: false, step: 0, nextTime: 0 };
+
+function musicBpm(level) {
+  return Math.min(200, 110 + level * 6);
+}
 
-document.addEventListener("keyup", e => {
-  keyState[e.key] = false;
-  switch (e.key) {
-    case "ArrowLeft": dasStop('left'); break;
-    case "ArrowRight": dasStop('right'); break;
-    case "ArrowDown": keyState.soft = false; break;
+function scheduleMusicStep(step, when) {
+  const bar = Math.floor(step / 16) % MUSIC_CHORDS.length;
+  const beat = step % 16;
+  const root = MUSIC_CHORDS[bar];
+  const voice = { bus: "music", when: when - audioCtx.currentTime };
+  if (beat % 4 === 0) noise(Object.assign({}, voice, { length: 0.12, filter: 150, gain: 0.35 })); // kick
+  if (beat % 4 === 2) noise(Object.assign({}, voice, { length: 0.03, filter: 7000, kind: "highpass", gain: 0.06 })); // hat
+  if (beat % 8 === 4) noise(Object.assign({}, voice, { length: 0.09, filter: 1800, kind: "bandpass", gain: 0.15 })); // snare
+  if (beat % 2 === 0) {
+    const n = root - 12 + (beat % 4 === 2 ? 12 : 0);
+    tone(Object.assign({}, voice, { freq: midiToFreq(n), length: 0.12, type: "triangle", gain: 0.22 }));
   }
-});
-
-/* DAS helpers */
-function dasStart(dir) {
-  dasState[dir] = true;
-  dasState.holdStart = performance.now();
-  dasState.nextMoveAt = performance.now() + DAS_DELAY;
+  const lead = MUSIC_LEAD[step % MUSIC_LEAD.length];
+  if (lead !== null) tone(Object.assign({}, voice, { freq: midiToFreq(root + 12 + lead), length: 0.14, type: "square", gain: 0.05 }));
 }
-function dasStop(dir) {
-  dasState[dir] = false;
-  dasState.holdStart = 0;
-  dasState.nextMoveAt = 0;
+
+/* called every frame: start, stop and keep the sequencer fed */
+function updateMusic() {
+  if (!buses) return;
+  const want = musicEnabled && soundEnabled && screen === "playing" && !demoPlayer && audioCtx.state === "running";
+  if (!want) { music.playing = false; return; }
+  const now = audioCtx.currentTime;
+  if (!music.playing || music.nextTime < now) {
+    music.playing = true;
+    music.nextTime = now + 0.05;
+  }
+  const stepLength = 60 / musicBpm(game.getState().level) / 4; // sixteenth notes
+  while (music.nextTime < now + MUSIC_AHEAD) {
+    scheduleMusicStep(music.step, music.nextTime);
+    music.step = (music.step + 1) % MUSIC_LEAD.length;
+    music.nextTime += stepLength;
+  }
 }
-function moveOnce(dir) {
-  if (!player.matrix || paused || gameOver) return;
-  player.pos.x += dir;
-  if (collide(arena, player.pos.x, Math.floor(player.pos.y), player.matrix)) player.pos.x -= dir;
-  else { lockTimer = 0; onGround = false; playSound('move'); }
+
+function setVolume(bus, value) {
+  volumes[bus] = Math.max(0, Math.min(100, Math.round(value)));
+  applyVolumes();
 }
+onIf(masterVolumeSlider, "input", () => setVolume("master", Number(masterVolumeSlider.value)));
+onIf(sfxVolumeSlider, "input", () => setVolume("sfx", Number(sfxVolumeSlider.value)));
+onIf(musicVolumeSlider, "input", () => setVolume("music", Number(musicVolumeSlider.value)));
+onIf(musicToggle, "change", () => { musicEnabled = musicToggle.checked; });
 
-/* Touch button binds */
-function bindBtn(id, cb) {
-  const btn = document.getElementById(id);
-  if (!btn) return;
-  btn.addEventListener("pointerdown", e => { e.preventDefault(); btn.classList.add("pressed"); cb(); });
-  btn.addEventListener("pointerup", () => btn.classList.remove("pressed"));
-  btn.addEventListener("pointerleave", () => btn.classList.remove("pressed"));
-  btn.addEventListener("touchstart", e => { e.preventDefault(); btn.classList.add("pressed'); cb(); }, {passive:false});
-  btn.addEventListener("touchend", () => btn.classList.remove("pressed"));
+/* ------------------------
+   Input Handling (keyboard + touch) + DAS/ARR
+---------------------------*/
+/* ------------------------
+   Actions
+   Keyboard, touch and gamepad all go through sendAction, which hands the
+   action straight to the player's engine (player 1 = index 0). During
+   replay playback live input is ignored and the engines are fed from the
+   recording instead.
+---------------------------*/
+function sendAction(action, pressed, player = 0) {
+  if (replay.mode === "playback" || screen !== "playing") return;
+  (player === 1 ? p2Game : game).input(action, pressed);
 }
-bindBtn("left-btn", () => moveOnce(-1));
-bindBtn("right-btn", () => moveOnce(1));
-bindBtn("down-btn", () => keyState.soft = true);
-bindBtn("rotate-btn", () => rotatePlayer(1));
-bindBtn("hard-btn", () => hardDrop());
-bindBtn("hold-btn", () => holdSwap());
 
 /* ------------------------
-   Game loop with fixed-physics + throttled render
+   Bindings (keyboard + gamepad)
+   Each action maps to a list of inputs: KeyboardEvent.code values for keys,
+   "Pad<n>" for standard-mapping gamepad buttons and "PadAxis<n>+/-" for
+   stick directions. Several inputs may hold one action; the action is
+   released only when the last of them lets go.
 ---------------------------*/
-function update(time = 0) {
-  if (!lastTime) lastTime = time;
-  const delta = time - lastTime;
-  lastTime = time;
+const BIND_ACTIONS = [...ACTIONS, "pause", "restart", "undo"];
+const ACTION_LABELS = {
+  left: "Move Left", right: "Move Right", soft: "Soft Drop", hard: "Hard Drop",
+  cw: "Rotate CW", ccw: "Rotate CCW", "180": "Rotate 180", hold: "Hold",
+  pause: "Pause", restart: "Restart", undo: "Undo (puzzles)"
+};
+const DEFAULT_BINDINGS = {
+  left: ["ArrowLeft", "Pad14", "PadAxis0-"],
+  right: ["ArrowRight", "Pad15", "PadAxis0+"],
+  soft: ["ArrowDown", "Pad13", "PadAxis1+"],
+  hard: ["Space", "Pad12"],
+  cw: ["ArrowUp", "KeyX", "Pad0"],
+  ccw: ["KeyZ", "ControlLeft", "ControlRight", "Pad1"],
+  "180": ["KeyA", "Pad3"],
+  hold: ["KeyC", "ShiftLeft", "ShiftRight", "Pad4", "Pad5"],
+  pause: ["KeyP", "Pad9"],
+  restart: ["KeyR", "Pad8"],
+  undo: ["Backspace"]
+};
+const PAD_BUTTON_NAMES = ["A", "B", "X", "Y", "LB", "RB", "LT", "RT", "Back", "Start",
+  "LS", "RS", "D↑", "D↓", "D←", "D→"];
+const PAD_AXIS_DEADZONE = 0.5;
+
+let bindings = normalizeBindings(null); // replaced by the saved ones in init()
+let inputToAction = buildInputMap(bindings);
+const heldInputs = [{}, {}]; // per player: action -> Set of inputs currently holding it
+
+/* 2P splits the keyboard: WASD-style for player 1, arrows for player 2.
+   Gamepads keep the normal bindings, the first pad playing player 1 and the
+   second player 2; pause and restart stay shared. */
+const DUEL_KEYS = [
+  { left: ["KeyA"], right: ["KeyD"], soft: ["KeyS"], hard: ["KeyW"], ccw: ["KeyQ"], cw: ["KeyE"], "180": ["KeyX"], hold: ["ShiftLeft", "KeyC"] },
+  { left: ["ArrowLeft"], right: ["ArrowRight"], soft: ["ArrowDown"], hard: ["ArrowUp"], ccw: ["Comma"], cw: ["Period"], "180": ["Slash"], hold: ["ShiftRight", "Enter"] }
+];
+const duelKeyMaps = DUEL_KEYS.map(buildInputMap);
+
+/* a full action -> inputs map from saved data, defaults filling any gaps */
+function normalizeBindings(saved) {
+  const result = {};
+  for (const action of BIND_ACTIONS) {
+    const list = saved && Array.isArray(saved[action]) ? saved[action] : DEFAULT_BINDINGS[action];
+    result[action] = list.filter(input => typeof input === "string");
+  }
+  return result;
+}
 
-  if (!paused && !gameOver) {
-    // gravity (cells per second) -> ms per cell
-    let gravity = gravityCPS;
-    // soft drop
-    if (keyState.soft) gravity = gravity * SOFT_DROP_MULT;
-
-    const msPerCell = 1000 / Math.max(0.001, gravity);
-    dropAccumulator += delta;
-
-    // while enough time has passed, move down one cell per cell ms
-    while (dropAccumulator >= msPerCell) {
-      player.pos.y += 1;
-      dropAccumulator -= msPerCell;
-      // collision check
-      if (collide(arena, player.pos.x, Math.floor(player.pos.y), player.matrix)) {
-        // revert
-        player.pos.y -= 1;
-        // start lock timer / or lock immediately if already on ground for a while
-        if (!onGround) {
-          onGround = true;
-          lockTimer = 0;
-        }
-        break;
-      } else {
-        // in air
-        onGround = false;
-        lockTimer = 0;
-      }
-    }
+function buildInputMap(map) {
+  const out = {};
+  for (const action of BIND_ACTIONS) for (const input of map[action] || []) out[input] = action;
+  return out;
+}
 
-    // DAS auto-repeat handling
-    const now = performance.now();
-    if (dasState.left || dasState.right) {
-      if (now >= dasState.nextMoveAt) {
-        const dir = dasState.left ? -1 : 1;
-        moveOnce(dir);
-        dasState.nextMoveAt = now + ARR;
-      }
-    }
+/* human-readable name for an input code */
+function inputLabel(input) {
+  const arrows = { ArrowLeft: "←", ArrowRight: "→", ArrowUp: "↑", ArrowDown: "↓" };
+  if (arrows[input]) return arrows[input];
+  let m;
+  if ((m = /^PadAxis(\d+)([+-])$/.exec(input))) {
+    const dirs = m[1] % 2 === 0 ? { "-": "←", "+": "→" } : { "-": "↑", "+": "↓" };
+    return `${Number(m[1]) < 2 ? "LS" : "RS"}${dirs[m[2]]}`;
+  }
+  if ((m = /^Pad(\d+)$/.exec(input))) return `Pad ${PAD_BUTTON_NAMES[m[1]] || m[1]}`;
+  if ((m = /^(Key|Digit)(.)$/.exec(input))) return m[2];
+  if ((m = /^(Control|Shift|Alt|Meta)(Left|Right)$/.exec(input))) {
+    return (m[2] === "Left" ? "L" : "R") + (m[1] === "Control" ? "Ctrl" : m[1]);
+  }
+  return input;
+}
 
-    // lock delay handling
-    if (onGround) {
-      lockTimer += delta;
-      if (lockTimer >= LOCK_DELAY) {
-        // lock now
-        mergeToArena();
-        sweep();
-        spawnPlayer();
-        dropAccumulator = 0;
-        lockTimer = 0;
-        onGround = false;
-      }
-    } else {
-      lockTimer = 0;
+/* which player and action an input drives; pad is the gamepad slot or -1 for keys */
+function routeInput(input, pad) {
+  if (duelActive()) {
+    if (pad >= 0) return pad < 2 && inputToAction[input] ? { player: pad, action: inputToAction[input] } : null;
+    for (let player = 0; player < 2; ++player) {
+      if (duelKeyMaps[player][input]) return { player, action: duelKeyMaps[player][input] };
     }
+    const shared = inputToAction[input];
+    return shared === "pause" || shared === "restart" || shared === "undo" ? { player: 0, action: shared } : null;
   }
+  const action = inputToAction[input];
+  return action ? { player: 0, action } : null;
+}
 
-  // interp for smooth render: fraction progress to next cell
-  const msPerCellRender = 1000 / Math.max(0.001, (keyState.soft ? gravityCPS * SOFT_DROP_MULT : gravityCPS));
-  const interp = Math.min(1, dropAccumulator / msPerCellRender);
+/* an input went down/up: route to pause/restart/undo or a player's game */
+function inputChanged(input, pressed, pad = -1) {
+  const route = routeInput(input, pad);
+  if (!route) return false;
+  const { player, action } = route;
+  const held = heldInputs[player][action] || (heldInputs[player][action] = new Set());
+  const id = pad >= 0 ? `${input}@${pad}` : input;
+  const wasHeld = held.size > 0;
+  if (pressed) held.add(id); else held.delete(id);
+  const isHeld = held.size > 0;
+  if (wasHeld === isHeld) return true;
+
+  if (action === "pause") { if (isHeld) togglePause(); }
+  else if (action === "restart") { if (isHeld && replay.mode !== "playback") startGame(); }
+  else if (action === "undo") { if (isHeld) undoPuzzle(); }
+  else sendAction(action, isHeld, player);
+  return true;
+}
 
-  // rendering throttled by performanceMode targetFPS
-  if (performanceMode) {
-    if (time - lastRender >= minFrameTime) {
-      drawScene(interp);
-      lastRender = time;
+/* let go of every held action, e.g. so keys don't stick across a blur */
+function releaseAllInputs() {
+  heldInputs.forEach((byAction, player) => {
+    for (const action of Object.keys(byAction)) {
+      if (byAction[action].size && ACTIONS.indexOf(action) >= 0) sendAction(action, false, player);
+      byAction[action].clear();
     }
-  } else {
-    drawScene(interp);
+  });
+  releaseTouch();
+}
+
+function isTypingTarget(el) {
+  return el && (el.tagName === "INPUT" || el.tagName === "TEXTAREA" || el.tagName === "SELECT") && el.type !== "checkbox" && el.type !== "range";
+}
+
+document.addEventListener("keydown", e => {
+  if (!listeningAction && dialogKey(e)) return;
+  if (e.repeat || isTypingTarget(e.target)) return;
+  if (wakeFromDemo()) { e.preventDefault(); return; }
+  if (captureBinding(e.code)) { e.preventDefault(); return; }
+  // keys in the open dialog work its controls, not the game
+  if (inDialog(e.target)) return;
+  // Enter starts from the title / results and resumes from pause (buttons handle their own Enter)
+  if (e.code === "Enter" && screen !== "playing" && !(e.target && e.target.tagName === "BUTTON")) {
+    e.preventDefault();
+    if (screen === "paused") togglePause();
+    else startGame();
+    return;
+  }
+  if (inputChanged(e.code, true)) {
+    e.preventDefault();
+    return;
   }
+  if (e.key === "Escape") pauseGame();
+});
 
-  lastTime = time;
-  requestAnimationFrame(update);
+document.addEventListener("keyup", e => {
+  inputChanged(e.code, false);
+});
+
+/* release everything when the window loses focus so keys don't stick */
+window.addEventListener("blur", releaseAllInputs);
+
+/* Gamepad: polled once per frame from update() */
+let padPrev = {};
+
+/* "<input>@<slot>" -> { input, pad } for everything held; slot counts connected pads */
+function readPadInputs() {
+  const pressed = {};
+  const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+  let slot = 0;
+  for (const pad of pads) {
+    if (!pad || !pad.connected) continue;
+    const add = input => { pressed[`${input}@${slot}`] = { input, pad: slot }; };
+    pad.buttons.forEach((b, i) => { if (b.pressed) add(`Pad${i}`); });
+    pad.axes.forEach((v, i) => {
+      if (v <= -PAD_AXIS_DEADZONE) add(`PadAxis${i}-`);
+      if (v >= PAD_AXIS_DEADZONE) add(`PadAxis${i}+`);
+    });
+    slot++;
+  }
+  return pressed;
 }
 
-/* ------------------------
-   Game control
----------------------------*/
-function resetGame() {
-  for (let y = 0; y < ROWS; ++y) arena[y].fill(0);
-  nextQueue = [];
-  refillQueue.bag = null;
-  refillQueue.index = 0;
-  refillQueue();
-  score = 0; lines = 0; level = 0;
-  if (scoreEl) scoreEl.textContent = "0";
-  if (linesEl) linesEl.textContent = "0";
-  if (levelEl) levelEl.textContent = "0";
-  holdPiece = null;
-  holdUsed = false;
-  gameOver = false;
-  spawnPlayer();
-  playSound('start');
+function pollGamepads() {
+  const now = readPadInputs();
+  for (const id of Object.keys(now)) {
+    const { input, pad } = now[id];
+    if (!padPrev[id] && !wakeFromDemo() && !captureBinding(input)) inputChanged(input, true, pad);
+  }
+  for (const id of Object.keys(padPrev)) if (!now[id]) inputChanged(padPrev[id].input, false, padPrev[id].pad);
+  padPrev = now;
 }
 
-function spawnPlayer() { /* placeholder to be overwritten below */ }
-
-/* ------------------------
-   Queue, spawn and init
----------------------------*/
-refillQueue.bag = null;
-refillQueue.index = 0;
-refillQueue();
-function refillQueue() { /* overwritten earlier; kept for linter safety */ }
-
-/* Re-declare the proper refillQueue and spawnPlayer into current scope (we defined earlier) */
-(function finalizeSetup(){
-  // reuse earlier functions defined above — they already exist in scope
-  // refill queue initial fill
-  refillQueue.bag = null;
-  refillQueue.index = 0;
-  refillQueue();
-  // actual spawn player implementation from earlier
-  spawnPlayer = function() {
-    refillQueue();
-    const type = nextQueue.shift();
-    refillQueue();
-    const matrix = createPiece(type);
-    const id = PIECE_IDS[type] || 1;
-    for (let y=0;y<matrix.length;++y) for(let x=0;x<matrix[y].length;++x) if (matrix[y][x]) matrix[y][x] = id;
-    player.matrix = matrix;
-    player.id = id;
-    player.pos.x = Math.floor(COLS/2) - Math.floor(matrix[0].length/2);
-    player.pos.y = -1;
-    holdUsed = false;
-    lockTimer = 0;
-    onGround = false;
-    drawNext();
-    drawHold();
-    // if immediate collision -> game over flow
-    if (collide(arena, player.pos.x, Math.floor(player.pos.y), player.matrix)) {
-      gameOver = true;
-      playSound('line');
-      setTimeout(() => {
-        resetGame();
-      }, 800);
+/* Bindings panel */
+const bindingsList = document.getElementById("bindings-list");
+const bindingsNote = document.getElementById("bindings-note");
+const controlsHint = document.querySelector(".controls-hint");
+let listeningAction = null;
+
+/* while the panel waits for a key, the next input is bound instead of played */
+function captureBinding(input) {
+  if (!listeningAction) return false;
+  if (input === "Escape") {
+    listeningAction = null;
+    setBindingsNote("");
+    renderBindings();
+    return true;
+  }
+  const owner = inputToAction[input];
+  if (owner && owner !== listeningAction) {
+    setBindingsNote(`${inputLabel(input)} is already bound to ${ACTION_LABELS[owner]}`);
+    return true;
+  }
+  if (!owner) bindings[listeningAction].push(input);
+  listeningAction = null;
+  setBindingsNote("");
+  bindingsChanged();
+  return true;
+}
+
+function setBindingsNote(text) { if (bindingsNote) bindingsNote.textContent = text; }
+
+function bindingsChanged() {
+  inputToAction = buildInputMap(bindings);
+  saveSettings();
+  renderBindings();
+  renderControlsHint();
+}
+
+function renderBindings() {
+  if (!bindingsList) return;
+  // rebuilding drops focus, so it goes back to the same action's + button
+  const focused = bindingsList.contains(document.activeElement) ? document.activeElement.dataset.action : null;
+  bindingsList.innerHTML = "";
+  for (const action of BIND_ACTIONS) {
+    const row = document.createElement("div");
+    row.className = "binding-row";
+    const name = document.createElement("span");
+    name.className = "binding-name";
+    name.textContent = ACTION_LABELS[action];
+    row.appendChild(name);
+
+    const keys = document.createElement("span");
+    keys.className = "binding-keys";
+    for (const input of bindings[action]) {
+      const chip = document.createElement("button");
+      chip.className = "binding-chip";
+      chip.textContent = `${inputLabel(input)} ×`;
+      chip.setAttribute("aria-label", `Remove ${inputLabel(input)} from ${ACTION_LABELS[action]}`);
+      chip.dataset.action = action;
+      chip.addEventListener("click", () => {
+        bindings[action] = bindings[action].filter(i => i !== input);
+        bindingsChanged();
+      });
+      keys.appendChild(chip);
     }
-  };
-})();
+    const add = document.createElement("button");
+    add.className = "binding-chip add";
+    add.textContent = listeningAction === action ? "press…" : "+";
+    add.setAttribute("aria-label", `Add key for ${ACTION_LABELS[action]}`);
+    add.dataset.action = action;
+    add.addEventListener("click", () => {
+      listeningAction = action;
+      setBindingsNote(`Press a key or pad button for ${ACTION_LABELS[action]} (Esc cancels)`);
+      renderBindings();
+    });
+    keys.appendChild(add);
+    row.appendChild(keys);
+    bindingsList.appendChild(row);
+    if (focused === action) add.focus();
+  }
+}
+
+/* footer hint generated from the live keyboard bindings */
+function renderControlsHint() {
+  if (!controlsHint) return;
+  if (duelActive()) {
+    const keys = map => [
+      [map.left.concat(map.right), "move"], [map.soft, "soft"], [map.hard, "hard"],
+      [map.ccw.concat(map.cw), "rotate"], [map["180"], "180"], [map.hold, "hold"]
+    ].map(([list, what]) => `${list.map(inputLabel).join("/")} ${what}`).join(", ");
+    controlsHint.textContent = `P1: ${keys(DUEL_KEYS[0])} • P2: ${keys(DUEL_KEYS[1])} • or one gamepad each`;
+    return;
+  }
+  const keysFor = action => bindings[action].filter(i => !i.startsWith("Pad")).map(inputLabel);
+  const parts = [
+    [keysFor("left").concat(keysFor("right")), "move"], [keysFor("soft"), "soft"],
+    [keysFor("hard"), "hard"], [keysFor("cw"), "rotate"], [keysFor("ccw"), "ccw"],
+    [keysFor("180"), "180"], [keysFor("hold"), "hold"], [keysFor("pause"), "pause"],
+    [keysFor("restart"), "restart"], [game.getState().mode === "puzzle" ? keysFor("undo") : [], "undo"]
+  ].filter(([keys]) => keys.length);
+  controlsHint.textContent = "Controls: " + parts.map(([keys, what]) => `${keys.join("/")} (${what})`).join(" ");
+}
+
+onIf(document.getElementById("bindings-reset"), "click", () => {
+  bindings = {};
+  for (const action of BIND_ACTIONS) bindings[action] = DEFAULT_BINDINGS[action].slice();
+  listeningAction = null;
+  setBindingsNote("Controls reset to defaults");
+  bindingsChanged();
+});
+
+renderBindings();
+renderControlsHint();
 
 /* ------------------------
-   Initialization
+   Touch
+   Pointer events only (they cover touch, pen and mouse, so nothing fires
+   twice). Buttons hold their action while pressed, so ◀ / ▶ auto-repeat
+   with the engine's own DAS / ARR and ▼ lets go of soft drop on release.
+   On the board: drag sideways to move a cell per cell dragged, tap to
+   rotate (left half ccw, right half cw), drag down to soft drop, flick
+   down to hard drop and flick up to hold.
 ---------------------------*/
-function init() {
-  // prepare UI text
-  if (scoreEl) scoreEl.textContent = String(score);
-  if (linesEl) linesEl.textContent = String(lines);
-  if (levelEl) levelEl.textContent = String(level);
+const TOUCH_LAYOUTS = { bottom: "Row", split: "Split", lefty: "Split (left-handed)", none: "Gestures only" };
+const TAP_MAX_MS = 220;
+const TAP_MAX_MOVE = 0.5; // cells
+const SOFT_DRAG = 1.5; // cells down before a drag soft drops
+const FLICK_SPEED = 1.2; // px per ms
+const touchControls = document.getElementById("touch-controls");
+const touchLayoutSelect = document.getElementById("touch-layout");
+const touchSizeSlider = document.getElementById("touch-size");
+const touchSizeValue = document.getElementById("touch-size-value");
+const hapticsToggle = document.getElementById("haptics-toggle");
+const gesturesToggle = document.getElementById("gestures-toggle");
+let touchLayout = "bottom";
+let touchSize = 100; // % of the default button size
+let haptics = true;
+let gesturesEnabled = true;
+
+if (touchLayoutSelect) {
+  for (const key of Object.keys(TOUCH_LAYOUTS)) {
+    const opt = document.createElement("option");
+    opt.value = key;
+    opt.textContent = TOUCH_LAYOUTS[key];
+    touchLayoutSelect.appendChild(opt);
+  }
+}
+
+function buzz(ms) {
+  if (haptics && navigator.vibrate) navigator.vibrate(ms);
+}
+
+/* tap = press + release in the same tick */
+function tapAction(action) { sendAction(action, true); sendAction(action, false); }
+
+const touchButtons = []; // { btn, action, pointer }
+
+/* let go of every touch-held action, e.g. when play stops */
+function releaseTouch() {
+  for (const held of touchButtons) {
+    if (held.pointer === null) continue;
+    held.pointer = null;
+    held.btn.classList.remove("pressed");
+    sendAction(held.action, false);
+  }
+  if (swipe && swipe.soft) sendAction("soft", false);
+  swipe = null;
+}
 
-  // queue fill & spawn
-  refillQueue.bag = null;
-  refillQueue.index = 0;
-  refillQueue();
-  spawnPlayer();
+/* an on-screen button holds `action` for as long as a pointer is down on it */
+function bindBtn(id, action) {
+  const btn = document.getElementById(id);
+  if (!btn) return;
+  const held = { btn, action, pointer: null };
+  touchButtons.push(held);
+  const release = e => {
+    if (e.pointerId !== held.pointer) return;
+    held.pointer = null;
+    btn.classList.remove("pressed");
+    sendAction(action, false);
+  };
+  btn.addEventListener("pointerdown", e => {
+    e.preventDefault();
+    if (held.pointer !== null) return;
+    held.pointer = e.pointerId;
+    if (btn.setPointerCapture) btn.setPointerCapture(e.pointerId);
+    btn.classList.add("pressed");
+    buzz(action === "hard" ? 20 : 8);
+    sendAction(action, true);
+  });
+  btn.addEventListener("pointerup", release);
+  btn.addEventListener("pointercancel", release);
+  btn.addEventListener("lostpointercapture", release);
+  btn.addEventListener("contextmenu", e => e.preventDefault());
+}
+bindBtn("left-btn", "left");
+bindBtn("right-btn", "right");
+bindBtn("down-btn", "soft");
+bindBtn("rotate-btn", "cw");
+bindBtn("hard-btn", "hard");
+bindBtn("hold-btn", "hold");
+
+/* board gestures; the mouse keeps its click-to-start behaviour */
+let swipe = null;
+
+function cellPx() {
+  return canvas.getBoundingClientRect().width / boardCols || TILE;
+}
+
+onIf(canvas, "pointerdown", e => {
+  if (!gesturesEnabled || e.pointerType === "mouse" || swipe || screen !== "playing") return;
+  e.preventDefault();
+  if (canvas.setPointerCapture) canvas.setPointerCapture(e.pointerId);
+  swipe = { id: e.pointerId, x0: e.clientX, y0: e.clientY, anchorX: e.clientX, t0: e.timeStamp, lastY: e.clientY, lastT: e.timeStamp, vy: 0, moved: false, soft: false };
+});
+
+onIf(canvas, "pointermove", e => {
+  if (!swipe || e.pointerId !== swipe.id) return;
+  const cell = cellPx();
+  // one move per cell dragged, so the piece follows the finger
+  let dx = e.clientX - swipe.anchorX;
+  while (Math.abs(dx) >= cell) {
+    const dir = dx > 0 ? 1 : -1;
+    tapAction(dir > 0 ? "right" : "left");
+    swipe.anchorX += dir * cell;
+    dx -= dir * cell;
+    swipe.moved = true;
+    buzz(5);
+  }
+  const dt = e.timeStamp - swipe.lastT;
+  if (dt > 0) swipe.vy = (e.clientY - swipe.lastY) / dt;
+  swipe.lastY = e.clientY;
+  swipe.lastT = e.timeStamp;
+  if (!swipe.soft && e.clientY - swipe.y0 > SOFT_DRAG * cell && swipe.vy < FLICK_SPEED) {
+    swipe.soft = true;
+    swipe.moved = true;
+    sendAction("soft", true);
+  }
+});
+
+function endSwipe(e, cancelled) {
+  if (!swipe || e.pointerId !== swipe.id) return;
+  const s = swipe;
+  swipe = null;
+  if (s.soft) sendAction("soft", false);
+  if (cancelled) return;
+  const cell = cellPx();
+  const dy = e.clientY - s.y0;
+  const still = Math.abs(e.clientX - s.x0) < TAP_MAX_MOVE * cell && Math.abs(dy) < TAP_MAX_MOVE * cell;
+  if (!s.moved && still && e.timeStamp - s.t0 < TAP_MAX_MS) {
+    const rect = canvas.getBoundingClientRect();
+    tapAction(e.clientX < rect.left + rect.width / 2 ? "ccw" : "cw");
+    buzz(10);
+  } else if (s.vy >= FLICK_SPEED && dy > cell) {
+    tapAction("hard");
+    buzz(25);
+  } else if (s.vy <= -FLICK_SPEED && dy < -cell) {
+    tapAction("hold");
+    buzz(10);
+  }
+}
+onIf(canvas, "pointerup", e => endSwipe(e, false));
+onIf(canvas, "pointercancel", e => endSwipe(e, true));
+
+function setTouchOptions(options) {
+  touchLayout = TOUCH_LAYOUTS[options.layout] ? options.layout : "bottom";
+  touchSize = Math.max(60, Math.min(160, Math.round(options.size) || 100));
+  haptics = options.haptics !== false;
+  gesturesEnabled = options.gestures !== false;
+  if (touchControls) {
+    touchControls.classList.toggle("hidden", touchLayout === "none");
+    for (const key of Object.keys(TOUCH_LAYOUTS)) touchControls.classList.toggle(`layout-${key}`, key === touchLayout);
+    touchControls.style.setProperty("--touch-scale", String(touchSize / 100));
+  }
+  if (touchLayoutSelect) touchLayoutSelect.value = touchLayout;
+  if (touchSizeSlider) touchSizeSlider.value = String(touchSize);
+  if (touchSizeValue) touchSizeValue.textContent = `${touchSize}%`;
+  if (hapticsToggle) hapticsToggle.checked = haptics;
+  if (gesturesToggle) gesturesToggle.checked = gesturesEnabled;
+}
+
+function touchOptionsFromControls() {
+  return {
+    layout: touchLayoutSelect ? touchLayoutSelect.value : touchLayout,
+    size: touchSizeSlider ? Number(touchSizeSlider.value) : touchSize,
+    haptics: hapticsToggle ? hapticsToggle.checked : haptics,
+    gestures: gesturesToggle ? gesturesToggle.checked : gesturesEnabled
+  };
+}
+for (const [el, ev] of [[touchLayoutSelect, "change"], [touchSizeSlider, "input"], [hapticsToggle, "change"], [gesturesToggle, "change"]]) {
+  onIf(el, ev, () => setTouchOptions(touchOptionsFromControls()));
+}
+
+/* ------------------------
+   Replays
+   A replay is the seed, the gameplay settings and every action stamped with
+   the tick it was applied on. Playback re-seeds the engine and feeds the
+   actions back through game.input just before the same ticks run. Puzzle
+   undos are recorded the same way, as UNDO_CODE, and so are what an online
+   opponent does to the game: their garbage and their topping out.
+---------------------------*/
+const REPLAY_VERSION = 3; // 2: handling settings recorded; 3: board size, guideline spawn column
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+const UNDO_CODE = ACTIONS.length * 2; // a puzzle undo, after both players' action codes
+const OPPONENT_CODE = UNDO_CODE + 1; // online opponent out: pressed 1 = topped out, 0 = left
+const GARBAGE_CODE = UNDO_CODE + 2; // + lines - 1: garbage from an online opponent
+const replay = {
+  mode: "record", // "record" | "playback"
+  seed: 0,
+  settings: null,
+  inputs: [], // [tick, action index (+ ACTIONS.length for player 2), pressed 0/1]
+  cursor: 0,
+  speed: 1,
+  paused: false,
+  stepTo: -1 // playback runs (even when paused) until this input index is applied
+};
+
+function gameplaySettings() {
+  return {
+    mode: gameMode, curve: speedCurve, gravity: gravityCPS, attack: attackTable, cpu: cpuLevel, duelGarbage,
+    handling: Object.assign({}, handling),
+    board: { cols: boardCols, rows: boardRows, partialLockOut },
+    puzzle: gameMode === "puzzle" ? encodePuzzle(activePuzzle) : null
+  };
+}
+
+function applyGameplaySettings(settings) {
+  speedCurve = settings.curve;
+  gravityCPS = settings.gravity;
+  gameMode = MODES[settings.mode] ? settings.mode : "endless";
+  attackTable = ATTACK_TABLES[settings.attack] ? settings.attack : "guideline";
+  cpuLevel = CPU_LEVELS[settings.cpu] ? settings.cpu : "medium";
+  duelGarbage = settings.duelGarbage !== false;
+  setHandling(settings.handling);
+  setBoard(settings.board || {});
+  if (settings.puzzle) setActivePuzzle(decodePuzzle(settings.puzzle));
+  game.configure({ mode: gameMode, speedCurve, fixedGravity: gravityCPS, attackTable });
+  if (modeSelect) modeSelect.value = gameMode;
+  if (attackSelect) attackSelect.value = attackTable;
+  if (cpuLevelSelect) cpuLevelSelect.value = cpuLevel;
+  if (duelGarbageToggle) duelGarbageToggle.checked = duelGarbage;
+  if (speedCurveSelect) speedCurveSelect.value = speedCurve;
+  if (gravitySlider) gravitySlider.value = String(gravityCPS);
+  updateGravityLabel();
+}
+
+/* record every input the engines apply, stamped with the tick; both boards
+   step in lockstep so player 2's ticks line up with player 1's */
+game.on("input", e => {
+  if (replay.mode === "record") replay.inputs.push([e.tick, ACTIONS.indexOf(e.action), e.pressed ? 1 : 0]);
+});
+game.on("undo", () => {
+  if (replay.mode === "record") replay.inputs.push([game.getState().tick, UNDO_CODE, 1]);
+});
+p2Game.on("input", e => {
+  if (replay.mode === "record" && duelActive()) replay.inputs.push([e.tick, ACTIONS.length + ACTIONS.indexOf(e.action), e.pressed ? 1 : 0]);
+});
+
+/* feed recorded input that is due before the engines run each tick */
+game.on("beforeStep", e => {
+  if (replay.mode !== "playback") return;
+  while (replay.cursor < replay.inputs.length && replay.inputs[replay.cursor][0] <= e.tick) {
+    const [, code, pressed] = replay.inputs[replay.cursor++];
+    if (code === UNDO_CODE) { game.undo(); continue; }
+    if (code === OPPONENT_CODE) { game.end(true, pressed === 1 ? "opponent" : "disconnect"); continue; }
+    if (code >= GARBAGE_CODE) { game.receiveGarbage(code - GARBAGE_CODE + 1); continue; }
+    const target = code >= ACTIONS.length ? p2Game : game;
+    target.input(ACTIONS[code % ACTIONS.length], pressed === 1);
+  }
+});
+
+/* compact string: base64 of JSON with delta-encoded ticks */
+function encodeReplay() {
+  let prev = 0;
+  const inputs = [];
+  for (const [tick, code, pressed] of replay.inputs) {
+    inputs.push(tick - prev, code * 2 + pressed);
+    prev = tick;
+  }
+  const data = { v: REPLAY_VERSION, seed: replay.seed, settings: replay.settings, inputs };
+  return btoa(JSON.stringify(data));
+}
+
+function decodeReplay(text) {
+  const raw = text.trim();
+  const data = JSON.parse(raw.startsWith("{") ? raw : atob(raw));
+  if (data.v !== REPLAY_VERSION || !Array.isArray(data.inputs)) throw new Error("Unsupported replay");
+  const inputs = [];
+  let tick = 0;
+  for (let i = 0; i + 1 < data.inputs.length; i += 2) {
+    tick += data.inputs[i];
+    inputs.push([tick, data.inputs[i + 1] >> 1, data.inputs[i + 1] & 1]);
+  }
+  return { seed: data.seed >>> 0, settings: data.settings, inputs };
+}
+
+function startPlayback(data) {
+  replay.mode = "playback";
+  replay.inputs = data.inputs;
+  replay.cursor = 0;
+  replay.paused = false;
+  replay.stepTo = -1;
+  applyGameplaySettings(data.settings);
+  resetGame(data.seed);
+  setScreen("playing");
+  updateReplayBar();
+}
+
+function stopPlayback() {
+  replay.mode = "record";
+  replay.stepTo = -1;
+  updateReplayBar();
+  startGame();
+}
+
+/* settings panel: seed + export/import */
+const seedInput = document.getElementById("seed-input");
+const currentSeedEl = document.getElementById("current-seed");
+const replayData = document.getElementById("replay-data");
+const replayStatus = document.getElementById("replay-status");
+
+function setReplayStatus(text) { if (replayStatus) replayStatus.textContent = text; }
+
+onIf(document.getElementById("replay-export"), "click", () => {
+  if (!replayData) return;
+  replayData.value = encodeReplay();
+  replayData.select();
+  if (navigator.clipboard) navigator.clipboard.writeText(replayData.value).catch(() => {});
+  setReplayStatus(`Exported ${replay.inputs.length} inputs`);
+});
+
+onIf(document.getElementById("replay-import"), "click", () => {
+  if (!replayData) return;
+  try {
+    startPlayback(decodeReplay(replayData.value));
+    setReplayStatus("Playing replay");
+    closeDialog(settingsPanel);
+  } catch (err) {
+    setReplayStatus("Invalid replay code");
+  }
+});
+
+/* viewer bar: pause / step / speed / exit */
+const replayBar = document.getElementById("replay-bar");
+const replayPauseBtn = document.getElementById("replay-pause");
+const replaySpeedSelect = document.getElementById("replay-speed");
+const replayProgress = document.getElementById("replay-progress");
+
+function updateReplayBar() {
+  if (replayBar) replayBar.classList.toggle("hidden", replay.mode !== "playback");
+  if (replayPauseBtn) replayPauseBtn.textContent = replay.paused ? "Play" : "Pause";
+  if (replayProgress) replayProgress.textContent = `${replay.cursor}/${replay.inputs.length}`;
+}
+
+onIf(replayPauseBtn, "click", () => { replay.paused = !replay.paused; updateReplayBar(); });
+onIf(document.getElementById("replay-step"), "click", () => {
+  // run up to and including the next recorded input, then stay paused
+  replay.paused = true;
+  replay.stepTo = Math.min(replay.cursor + 1, replay.inputs.length);
+  updateReplayBar();
+});
+onIf(replaySpeedSelect, "change", () => { replay.speed = Number(replaySpeedSelect.value) || 1; });
+onIf(document.getElementById("replay-exit"), "click", () => stopPlayback());
+
+if (replaySpeedSelect) {
+  replaySpeedSelect.innerHTML = REPLAY_SPEEDS.map(v => `<option value="${v}">${v}×</option>`).join("");
+  replaySpeedSelect.value = "1";
+}
+
+/* ------------------------
+   Modes, personal bests & results
+---------------------------*/
+const PB_KEY = "neon_tetris_pb";
+const modeSelect = document.getElementById("mode-select");
+const modeStatusEl = document.getElementById("mode-status");
+const resultsEl = document.getElementById("results");
+const resultsTitle = document.getElementById("results-title");
+const resultsMain = document.getElementById("results-main");
+const resultsBest = document.getElementById("results-best");
+const resultsStats = document.getElementById("results-stats");
+let lastModeStatus = "";
+
+function loadBests() {
+  try { return JSON.parse(localStorage.getItem(PB_KEY) || "{}") || {}; } catch (err) { return {}; }
+}
+
+const UNRANKED_MODES = ["versus", "duel", "online", "finesse", "puzzle"];
+
+/* whether a finished run can count as a record: sprints must be completed,
+   other solo modes need a score, and versus games, training and puzzles never count */
+function isRanked(summary) {
+  if (UNRANKED_MODES.indexOf(summary.mode) >= 0 || !isStandardBoard()) return false;
+  return summary.mode === "sprint" ? summary.won : summary.score > 0;
+}
+
+/* sort order for a mode's runs: sprint ranks by time, the rest by score */
+function compareRuns(mode) {
+  return mode === "sprint" ? (a, b) => a.timeMs - b.timeMs : (a, b) => b.score - a.score;
+}
+
+/* store the run if it beats the mode's best */
+function recordBest(summary) {
+  if (!isRanked(summary)) return false;
+  const bests = loadBests();
+  const best = bests[summary.mode];
+  if (best && compareRuns(summary.mode)(summary, best) >= 0) return false;
+  bests[summary.mode] = { score: summary.score, lines: summary.lines, timeMs: summary.timeMs, date: Date.now() };
+  localStorage.setItem(PB_KEY, JSON.stringify(bests));
+  return true;
+}
+
+/* m:ss.cc */
+function formatTime(ms) {
+  const total = Math.max(0, ms);
+  const m = Math.floor(total / 60000);
+  const sec = Math.floor(total / 1000) % 60;
+  const cs = Math.floor(total / 10) % 100;
+  return `${m}:${String(sec).padStart(2, "0")}.${String(cs).padStart(2, "0")}`;
+}
+
+/* timer + goal line under the score, e.g. "0:23.45 • 12/40 lines" */
+function updateModeStatus() {
+  if (!modeStatusEl) return;
+  const { mode, timeMs, lines, pieces } = game.getState();
+  const def = MODES[mode];
+  const parts = [def.label];
+  if (def.timeLimit !== undefined) parts.push(`${formatTime(def.timeLimit - timeMs)} left`);
+  else parts.push(formatTime(timeMs));
+  if (def.lineGoal !== undefined) parts.push(`${lines}/${def.lineGoal} lines`);
+  if (def.puzzle && activePuzzle) {
+    parts.push(describeGoal(activePuzzle.goal));
+    if (activePuzzle.goal.pieces) parts.push(`${pieces}/${activePuzzle.goal.pieces} pieces`);
+  }
+  const text = parts.join(" • ");
+  if (text !== lastModeStatus) {
+    modeStatusEl.textContent = text;
+    lastModeStatus = text;
+  }
+}
+
+const END_LABELS = { blockout: "Block out", lockout: "Lock out", topout: "Top out", pieces: "Out of pieces", disconnect: "Disconnect" };
+
+/* rank is the run's leaderboard position, 0 if it didn't place */
+function showResults(summary, newBest, rank = 0) {
+  if (!resultsEl) return;
+  const def = MODES[summary.mode];
+  const lost = summary.mode === "versus" || summary.mode === "online" ? "YOU LOSE" : summary.mode === "duel" ? "PLAYER 2 WINS"
+    : summary.mode === "puzzle" ? "FAILED" : "GAME OVER";
+  const titles = summary.mode === "versus" ? { opponent: "YOU WIN" }
+    : summary.mode === "online" ? { opponent: "YOU WIN", disconnect: summary.won ? "YOU WIN" : "DISCONNECTED" }
+    : summary.mode === "duel" ? { opponent: "PLAYER 1 WINS" }
+    : summary.mode === "puzzle" ? { goal: "SOLVED!" }
+    : { goal: "COMPLETE!", time: "TIME UP" };
+  resultsTitle.textContent = titles[summary.reason] || lost;
+  resultsMain.textContent = summary.mode === "sprint" && summary.won
+    ? formatTime(summary.timeMs)
+    : `${summary.score} pts`;
+  resultsBest.classList.toggle("hidden", !newBest);
+
+  const best = loadBests()[summary.mode];
+  const rows = [
+    ["Mode", def.label],
+    ...(isStandardBoard() ? [] : [["Board", `${boardCols}×${boardRows}`]]),
+    ...(summary.mode === "puzzle" ? [["Puzzle", activePuzzle.title], ["Goal", describeGoal(activePuzzle.goal)]] : []),
+    ...(END_LABELS[summary.reason] ? [["Ended by", END_LABELS[summary.reason]]] : []),
+    ["Time", formatTime(summary.timeMs)],
+    ["Score", summary.score],
+    ["Lines", summary.lines],
+    ["Level", summary.level],
+    ["Pieces", summary.pieces],
+    ["PPS", summary.pps.toFixed(2)]
+  ];
+  if (summary.mode === "versus" || summary.mode === "duel" || summary.mode === "online") rows.push(["Garbage sent", summary.attackSent]);
+  if (summary.mode === "duel") {
+    const p2 = p2Game.getSummary();
+    rows.push(["P2 Score", p2.score], ["P2 Lines", p2.lines], ["P2 Garbage sent", p2.attackSent]);
+  }
+  Object.keys(summary.clears)
+    .sort((a, b) => summary.clears[b] - summary.clears[a])
+    .forEach(name => rows.push([name, `×${summary.clears[name]}`]));
+  if (best) rows.push(["Best", summary.mode === "sprint" ? formatTime(best.timeMs) : `${best.score} pts`]);
+  if (rank) rows.push(["Leaderboard", `#${rank}`]);
+
+  fillStatList(resultsStats, rows);
+  resultsEl.classList.remove("hidden");
+}
+
+/* replace a <dl> with [label, value] rows */
+function fillStatList(dl, rows) {
+  dl.innerHTML = "";
+  for (const [label, value] of rows) {
+    const dt = document.createElement("dt");
+    dt.textContent = label;
+    const dd = document.createElement("dd");
+    dd.textContent = String(value);
+    dl.append(dt, dd);
+  }
+}
+
+function hideResults() {
+  if (resultsEl) resultsEl.classList.add("hidden");
+}
+
+onIf(document.getElementById("results-retry"), "click", () => {
+  if (replay.mode === "playback") stopPlayback();
+  else startGame();
+});
+onIf(document.getElementById("results-menu"), "click", () => {
+  if (replay.mode === "playback") { replay.mode = "record"; updateReplayBar(); }
+  showTitle();
+});
+
+if (modeSelect) {
+  modeSelect.innerHTML = Object.keys(MODES).map(k => `<option value="${k}">${MODES[k].label}</option>`).join("");
+  modeSelect.value = gameMode;
+}
+onIf(modeSelect, "change", () => {
+  // keys change hands between layouts, so let go of everything first
+  releaseAllInputs();
+  gameMode = modeSelect.value;
+  game.configure({ mode: gameMode });
+  saveSettings();
+  if (replay.mode === "playback") stopPlayback();
+  else if (screen === "title") resetGame();
+  else startGame();
+  modeSelect.blur();
+});
+
+/* ------------------------
+   Leaderboard
+   The top LEADERBOARD_SIZE runs of each ranked mode, ordered like personal
+   bests. Stored (and exported) as { v, modes: { <mode>: [run, ...] } }.
+---------------------------*/
+const LEADERBOARD_KEY = "neon_tetris_leaderboard";
+const LEADERBOARD_VERSION = 1;
+const LEADERBOARD_SIZE = 10;
+const RANKED_MODES = Object.keys(MODES).filter(k => UNRANKED_MODES.indexOf(k) < 0);
+const leaderboardPanel = document.getElementById("leaderboard-panel");
+const leaderboardMode = document.getElementById("leaderboard-mode");
+const leaderboardBody = document.getElementById("leaderboard-body");
+const leaderboardEmpty = document.getElementById("leaderboard-empty");
+const leaderboardData = document.getElementById("leaderboard-data");
+const leaderboardStatus = document.getElementById("leaderboard-status");
+let latestRun = null; // highlighted in the table
+
+/* keep only well-formed runs of known modes, sorted and trimmed */
+function normalizeLeaderboard(data) {
+  if (!data || data.v !== LEADERBOARD_VERSION || typeof data.modes !== "object" || !data.modes) return null;
+  const modes = {};
+  for (const mode of RANKED_MODES) {
+    const runs = Array.isArray(data.modes[mode]) ? data.modes[mode] : [];
+    modes[mode] = runs
+      .filter(r => r && ["date", "score", "lines", "level", "timeMs"].every(k => typeof r[k] === "number"))
+      .map(r => ({ name: String(r.name || "Player").slice(0, 16), date: r.date, score: r.score, lines: r.lines, level: r.level, timeMs: r.timeMs }))
+      .sort(compareRuns(mode))
+      .slice(0, LEADERBOARD_SIZE);
+  }
+  return { v: LEADERBOARD_VERSION, modes };
+}
+
+function loadLeaderboard() {
+  let data = null;
+  try { data = JSON.parse(localStorage.getItem(LEADERBOARD_KEY) || "null"); } catch (err) { data = null; }
+  return normalizeLeaderboard(data) || normalizeLeaderboard({ v: LEADERBOARD_VERSION, modes: {} });
+}
+
+/* add a finished run; returns its 1-based rank, or 0 if it didn't make the table */
+function recordLeaderboard(summary) {
+  if (!isRanked(summary)) return 0;
+  const board = loadLeaderboard();
+  const run = {
+    name: playerName || "Player", date: Date.now(), score: summary.score,
+    lines: summary.lines, level: summary.level, timeMs: summary.timeMs
+  };
+  // a stable sort keeps earlier runs ahead on ties
+  const runs = board.modes[summary.mode].concat(run).sort(compareRuns(summary.mode)).slice(0, LEADERBOARD_SIZE);
+  const rank = runs.indexOf(run) + 1;
+  if (!rank) return 0;
+  board.modes[summary.mode] = runs;
+  localStorage.setItem(LEADERBOARD_KEY, JSON.stringify(board));
+  latestRun = run;
+  return rank;
+}
+
+function renderLeaderboard() {
+  if (!leaderboardBody) return;
+  const mode = leaderboardMode ? leaderboardMode.value : gameMode;
+  const runs = loadLeaderboard().modes[mode] || [];
+  leaderboardBody.innerHTML = "";
+  runs.forEach((run, i) => {
+    const tr = document.createElement("tr");
+    if (latestRun && run.date === latestRun.date && run.score === latestRun.score) tr.className = "latest";
+    const cells = [i + 1, run.name, new Date(run.date).toLocaleDateString(), run.score, run.lines, run.level, formatTime(run.timeMs)];
+    for (const value of cells) {
+      const td = document.createElement("td");
+      td.textContent = String(value);
+      tr.appendChild(td);
+    }
+    leaderboardBody.appendChild(tr);
+  });
+  if (leaderboardEmpty) leaderboardEmpty.classList.toggle("hidden", runs.length > 0);
+}
+
+function setLeaderboardStatus(text) { if (leaderboardStatus) leaderboardStatus.textContent = text; }
+
+if (leaderboardMode) {
+  leaderboardMode.innerHTML = RANKED_MODES.map(k => `<option value="${k}">${MODES[k].label}</option>`).join("");
+}
+onIf(leaderboardMode, "change", renderLeaderboard);
+
+onIf(document.getElementById("leaderboard-btn"), "click", () => {
+  if (leaderboardMode && RANKED_MODES.indexOf(gameMode) >= 0) leaderboardMode.value = gameMode;
+  setLeaderboardStatus("");
+  renderLeaderboard();
+  openDialog(leaderboardPanel);
+});
+onIf(document.getElementById("close-leaderboard"), "click", () => closeDialog(leaderboardPanel));
+
+onIf(document.getElementById("leaderboard-export"), "click", () => {
+  if (!leaderboardData) return;
+  leaderboardData.value = JSON.stringify(loadLeaderboard());
+  leaderboardData.select();
+  if (navigator.clipboard) navigator.clipboard.writeText(leaderboardData.value).catch(() => {});
+  setLeaderboardStatus("Exported");
+});
+
+onIf(document.getElementById("leaderboard-import"), "click", () => {
+  if (!leaderboardData) return;
+  let board = null;
+  try { board = normalizeLeaderboard(JSON.parse(leaderboardData.value)); } catch (err) { board = null; }
+  if (!board) { setLeaderboardStatus("Not a leaderboard export"); return; }
+  localStorage.setItem(LEADERBOARD_KEY, JSON.stringify(board));
+  const count = RANKED_MODES.reduce((n, mode) => n + board.modes[mode].length, 0);
+  setLeaderboardStatus(`Imported ${count} run${count === 1 ? "" : "s"}`);
+  renderLeaderboard();
+});
+
+onIf(document.getElementById("leaderboard-reset"), "click", () => {
+  if (!window.confirm("Clear the leaderboard for every mode?")) return;
+  localStorage.removeItem(LEADERBOARD_KEY);
+  latestRun = null;
+  setLeaderboardStatus("Leaderboard cleared");
+  renderLeaderboard();
+});
+
+/* ------------------------
+   Versus CPU
+   A second engine on the same seed, played by TetrisBot. Both boards are
+   stepped in lockstep from the main loop, so garbage timing (and therefore
+   replays of a CPU match) is exact.
+---------------------------*/
+const versusPanel = document.getElementById("versus-panel");
+const playerMeter = document.getElementById("garbage-meter");
+const cpuMeter = document.getElementById("cpu-garbage-meter");
+const cpuLinesEl = document.getElementById("cpu-lines");
+const cpuSentEl = document.getElementById("cpu-sent");
+const attackSelect = document.getElementById("attack-table");
+const cpuLevelSelect = document.getElementById("cpu-level");
+
+const cpuGame = createGame({ cols: boardCols, rows: boardRows, mode: "versus", speedCurve, fixedGravity: gravityCPS, attackTable });
+let cpuPlayer = null;
+
+function versusActive() { return game.getState().mode === "versus"; }
+
+game.on("attack", e => {
+  if (versusActive()) cpuGame.receiveGarbage(e.lines);
+  else if (duelActive() && duelGarbage) p2Game.receiveGarbage(e.lines);
+});
+cpuGame.on("attack", e => { if (versusActive()) game.receiveGarbage(e.lines); });
+cpuGame.on("gameOver", () => {
+  if (versusActive() && !game.getState().gameOver) game.end(true, "opponent");
+});
+
+/* (re)start the CPU board alongside a new versus game */
+function resetVersus(seed) {
+  const active = versusActive();
+  if (versusPanel) versusPanel.classList.toggle("hidden", !active);
+  if (playerMeter) playerMeter.classList.toggle("hidden", !active && !(duelActive() && duelGarbage));
+  if (cpuPlayer) { cpuPlayer.detach(); cpuPlayer = null; }
+  if (!active) return;
+  cpuGame.configure({ speedCurve, fixedGravity: gravityCPS, attackTable });
+  cpuGame.reset(seed);
+  cpuPlayer = createCpuPlayer(cpuGame, { level: cpuLevel });
+}
+
+function setMeter(el, pending) {
+  if (!el) return;
+  const fill = el.firstElementChild;
+  if (fill) fill.style.height = `${Math.min(100, pending / boardRows * 100)}%`;
+}
+
+function updateVersusHud() {
+  const cpuState = cpuGame.getState();
+  setMeter(playerMeter, game.getState().pendingGarbage);
+  setMeter(cpuMeter, cpuState.pendingGarbage);
+  if (cpuLinesEl) cpuLinesEl.textContent = String(cpuState.lines);
+  if (cpuSentEl) cpuSentEl.textContent = String(cpuState.attackSent);
+}
+
+if (attackSelect) {
+  attackSelect.innerHTML = Object.keys(ATTACK_TABLES).map(k => `<option value="${k}">${ATTACK_TABLES[k].label}</option>`).join("");
+  attackSelect.value = attackTable;
+}
+if (cpuLevelSelect) {
+  cpuLevelSelect.innerHTML = Object.keys(CPU_LEVELS).map(k => `<option value="${k}">${CPU_LEVELS[k].label}</option>`).join("");
+  cpuLevelSelect.value = cpuLevel;
+}
+onIf(attackSelect, "change", () => {
+  attackTable = attackSelect.value;
+  game.configure({ attackTable });
+  cpuGame.configure({ attackTable });
+});
+// a new difficulty takes effect from the next match
+onIf(cpuLevelSelect, "change", () => { cpuLevel = cpuLevelSelect.value; });
+
+/* ------------------------
+   Local two players
+   A second full-size board for player 2 on the same seed, so both get the
+   same pieces. Like the CPU it is stepped in lockstep with player 1;
+   garbage between the two is optional.
+---------------------------*/
+const p2Panel = document.getElementById("p2-panel");
+const p2Meter = document.getElementById("p2-garbage-meter");
+const p2ScoreEl = document.getElementById("p2-score");
+const p2LinesEl = document.getElementById("p2-lines");
+const p2LevelEl = document.getElementById("p2-level");
+const duelGarbageToggle = document.getElementById("duel-garbage");
+
+function duelActive() { return game.getState().mode === "duel"; }
+
+/* the engine playing against player 1, if any */
+function rivalGame() {
+  if (versusActive()) return cpuGame;
+  if (duelActive()) return p2Game;
+  return null;
+}
+
+p2Game.on("attack", e => { if (duelActive() && duelGarbage) game.receiveGarbage(e.lines); });
+p2Game.on("gameOver", () => {
+  if (duelActive() && !game.getState().gameOver) game.end(true, "opponent");
+});
+// player 1 topping out ends player 2's game too
+game.on("gameOver", () => { if (duelActive()) p2Game.end(true, "opponent"); });
+// pausing pauses both boards
+game.on("pause", e => {
+  const rival = rivalGame();
+  if (rival) { if (e.paused) rival.pause(); else rival.resume(); }
+});
+
+/* (re)start player 2 alongside a new 2P game */
+function resetDuel(seed) {
+  const active = duelActive();
+  if (p2Panel) p2Panel.classList.toggle("hidden", !active);
+  if (p2Meter) p2Meter.classList.toggle("hidden", !duelGarbage);
+  if (!active) return;
+  p2Game.configure({ speedCurve, fixedGravity: gravityCPS, attackTable, handling });
+  p2Game.reset(seed);
+  updateP2Hud();
+}
+
+function updateP2Hud() {
+  const { score, lines, level, queue, hold } = p2Game.getState();
+  if (p2ScoreEl) p2ScoreEl.textContent = String(score);
+  if (p2LinesEl) p2LinesEl.textContent = String(lines);
+  if (p2LevelEl) p2LevelEl.textContent = String(level);
+  drawQueuePreview(p2NextCtx, queue, previewCount);
+  drawPreviewCanvas(p2HoldCtx, hold);
+}
+
+p2Game.on("spawn", updateP2Hud);
+p2Game.on("lock", updateP2Hud);
+
+if (duelGarbageToggle) duelGarbageToggle.checked = duelGarbage;
+// like the CPU difficulty, this takes effect from the next game
+onIf(duelGarbageToggle, "change", () => { duelGarbage = duelGarbageToggle.checked; });
+
+/* ------------------------
+   Online 1v1
+   Two browsers play through relay.js (message format in PROTOCOL.md). The
+   relay seats two players in a room and, once both are ready, sends each
+   the same seed and the host's rules; from then on every side runs its own
+   engine. Our attacks go out from the engine's attack event (the line-clear
+   path), theirs come in through receiveGarbage, and each board is mirrored
+   to the other a few times a second. A dropped socket retries with the
+   seat's token for as long as the relay holds the seat.
+---------------------------*/
+const NET_VERSION = 1;
+const NET_RESUME_MS = 30000; // the relay holds a dropped seat this long
+const NET_BOARD_MS = 100; // our board goes to the opponent at most this often
+const NET_SESSION_KEY = "neon_tetris_online"; // sessionStorage: { url, room, token }, to rejoin after a reload
+const onlinePanel = document.getElementById("online-panel");
+const onlineServerInput = document.getElementById("online-server");
+const onlineRoomInput = document.getElementById("online-room");
+const onlineCreateBtn = document.getElementById("online-create");
+const onlineJoinBtn = document.getElementById("online-join");
+const onlineReadyBtn = document.getElementById("online-ready");
+const onlineLeaveBtn = document.getElementById("online-leave");
+const onlinePlayers = document.getElementById("online-players");
+const onlineStatus = document.getElementById("online-status");
+const opponentPanel = document.getElementById("opponent-panel");
+const opponentNameEl = document.getElementById("opponent-name");
+const opponentMeter = document.getElementById("opponent-garbage-meter");
+const opponentLinesEl = document.getElementById("opponent-lines");
+const opponentSentEl = document.getElementById("opponent-sent");
+
+let onlineServer = ""; // relay address from the settings; "" = the server this page came from
+
+const net = {
+  socket: null,
+  url: "",
+  room: null, // code of the room we sit in
+  seat: -1,
+  token: null,
+  players: [], // [{ name, ready, connected } | null] per seat
+  playing: false, // the relay has a match running in our room
+  live: false, // a match is running on our side
+  starting: false, // the reset for a match is ours, not an abandoned match
+  retryUntil: 0,
+  retryDelay: 1000,
+  retryTimer: null,
+  boardSentAt: 0,
+  boardSent: "",
+  opponent: null // their latest board message
+};
+
+function onlineActive() { return game.getState().mode === "online"; }
+
+function setOnlineStatus(text) { if (onlineStatus) onlineStatus.textContent = text; }
+
+function relayUrl() {
+  if (onlineServer) return onlineServer;
+  if (location.protocol === "http:" || location.protocol === "https:") {
+    return `${location.protocol === "https:" ? "wss" : "ws"}://${location.host}/ws`;
+  }
+  return "ws://localhost:8080/ws";
+}
+
+function netSend(message) {
+  if (net.socket && net.socket.readyState === WebSocket.OPEN) net.socket.send(JSON.stringify(message));
+}
+
+/* a fresh socket that opens with `first` (create, join or resume) */
+function netConnect(first, url = relayUrl()) {
+  clearTimeout(net.retryTimer);
+  if (net.socket) { const old = net.socket; net.socket = null; old.close(); }
+  let socket;
+  try { socket = new WebSocket(url); } catch (err) { setOnlineStatus("That relay address doesn't work"); return; }
+  net.socket = socket;
+  net.url = url;
+  socket.addEventListener("open", () => netSend(first));
+  socket.addEventListener("message", e => {
+    let msg;
+    try { msg = JSON.parse(e.data); } catch (err) { return; }
+    if (msg && typeof msg.type === "string") handleNetMessage(msg);
+  });
+  socket.addEventListener("close", () => { if (net.socket === socket) netDropped(); });
+}
+
+/* the socket went away: retry into our seat while the relay keeps it */
+function netDropped() {
+  net.socket = null;
+  if (!net.room) {
+    setOnlineStatus(`Can't reach the relay at ${net.url}`);
+    renderOnline();
+    return;
+  }
+  const now = performance.now();
+  if (!net.retryUntil) net.retryUntil = now + NET_RESUME_MS;
+  if (now >= net.retryUntil) { netGone("Lost the connection to the relay"); return; }
+  setOnlineStatus("Connection lost, reconnecting…");
+  net.retryTimer = setTimeout(() => netConnect({ type: "resume", v: NET_VERSION, room: net.room, token: net.token }, net.url), net.retryDelay);
+  net.retryDelay = Math.min(net.retryDelay * 2, 8000);
+  renderOnline();
+}
+
+/* out of the room for good; a running match is lost */
+function netGone(text) {
+  clearTimeout(net.retryTimer);
+  net.room = null;
+  net.seat = -1;
+  net.token = null;
+  net.players = [];
+  net.playing = false;
+  net.retryUntil = 0;
+  net.retryDelay = 1000;
+  sessionStorage.removeItem(NET_SESSION_KEY);
+  if (net.live) {
+    net.live = false;
+    game.end(false, "disconnect");
+  }
+  if (net.socket) { const old = net.socket; net.socket = null; old.close(); }
+  setOnlineStatus(text);
+  renderOnline();
+}
+
+function handleNetMessage(msg) {
+  switch (msg.type) {
+    case "joined":
+      net.room = msg.room;
+      net.seat = msg.seat;
+      net.token = msg.token;
+      net.retryUntil = 0;
+      net.retryDelay = 1000;
+      sessionStorage.setItem(NET_SESSION_KEY, JSON.stringify({ url: net.url, room: net.room, token: net.token }));
+      // after a reload the match we were in is gone from this page: concede it
+      if (msg.playing && !net.live) netSend({ type: "over" });
+      setOnlineStatus(`Room ${net.room}: share the code, then both press Ready`);
+      break;
+    case "lobby": {
+      const before = net.players[1 - net.seat];
+      net.players = Array.isArray(msg.players) ? msg.players : [];
+      net.playing = msg.playing === true;
+      const rival = net.players[1 - net.seat];
+      if (before && before.connected && rival && !rival.connected) setOnlineStatus("Opponent lost their connection, holding their seat");
+      else if (before && !before.connected && rival && rival.connected) setOnlineStatus("Opponent is back");
+      else if (before && !rival) setOnlineStatus("Opponent left the room");
+      break;
+    }
+    case "start":
+      startOnlineMatch(msg.seed >>> 0, msg.rules || {});
+      break;
+    case "attack": {
+      const lines = Math.max(0, Math.min(30, Math.floor(Number(msg.lines)) || 0));
+      if (!net.live || !lines) break;
+      if (replay.mode === "record") replay.inputs.push([game.getState().tick, GARBAGE_CODE + lines - 1, 1]);
+      game.receiveGarbage(lines);
+      break;
+    }
+    case "board":
+      if (net.live) net.opponent = msg;
+      break;
+    case "over": {
+      if (!net.live) break;
+      net.live = false;
+      const left = msg.reason === "left";
+      if (replay.mode === "record") replay.inputs.push([game.getState().tick, OPPONENT_CODE, left ? 0 : 1]);
+      game.end(true, left ? "disconnect" : "opponent");
+      if (left) setOnlineStatus("Opponent left the room");
+      break;
+    }
+    case "error":
+      if (msg.code === "no-seat") netGone("The relay gave up our seat");
+      else setOnlineStatus(String(msg.message || "The relay refused that"));
+      break;
+  }
+  renderOnline();
+}
+
+/* what a room plays by: the host's board, speed and attack table */
+function hostRules() {
+  return { curve: speedCurve, gravity: gravityCPS, attack: attackTable, board: { cols: boardCols, rows: boardRows, partialLockOut } };
+}
+
+function startOnlineMatch(seed, rules) {
+  if (demoPlayer) wakeFromDemo();
+  if (replay.mode === "playback") { replay.mode = "record"; updateReplayBar(); }
+  releaseAllInputs();
+  applyGameplaySettings(Object.assign(gameplaySettings(), {
+    mode: "online",
+    curve: SPEED_CURVES[rules.curve] ? rules.curve : speedCurve,
+    gravity: Number.isFinite(rules.gravity) ? rules.gravity : gravityCPS,
+    attack: rules.attack,
+    board: rules.board || {},
+    puzzle: null
+  }));
+  net.live = true;
+  net.opponent = null;
+  net.boardSent = "";
+  closeDialog(onlinePanel);
+  net.starting = true;
+  startGame(seed);
+  net.starting = false;
+}
+
+/* online games only start from the relay; any other start opens the lobby
+   (and a running match can't be restarted) */
+function onlineHoldsStart(seed) {
+  if (gameMode !== "online" || net.starting) return false;
+  if (!net.live) {
+    resetGame(seed);
+    setScreen("title");
+    openOnline();
+  }
+  return true;
+}
+
+game.on("reset", () => {
+  // anything else resetting the board abandons the match
+  if (net.live && !net.starting) {
+    net.live = false;
+    netSend({ type: "over" });
+  }
+  const active = onlineActive();
+  if (opponentPanel) opponentPanel.classList.toggle("hidden", !active);
+  if (playerMeter && active) playerMeter.classList.remove("hidden");
+  if (opponentNameEl) opponentNameEl.textContent = "Opponent";
+});
+game.on("attack", e => { if (net.live) netSend({ type: "attack", lines: e.lines }); });
+game.on("gameOver", e => {
+  if (!net.live) return;
+  net.live = false;
+  sendBoard(performance.now());
+  netSend({ type: "over" });
+  renderOnline();
+});
+
+/* our visible field with the falling piece in it, as one digit per cell */
+function boardSnapshot() {
+  const { arena, player, buffer, cols, rows, lines, attackSent, pendingGarbage } = game.getState();
+  const cells = arena.slice(buffer).map(row => row.slice());
+  if (player) {
+    player.matrix.forEach((r, y) => r.forEach((v, x) => {
+      const row = cells[player.pos.y + y - buffer];
+      if (v && row && x + player.pos.x >= 0 && x + player.pos.x < cols) row[x + player.pos.x] = v;
+    }));
+  }
+  return { type: "board", cols, rows, cells: cells.map(row => row.join("")).join(""), lines, sent: attackSent, pending: pendingGarbage };
+}
+
+function sendBoard(now) {
+  const text = JSON.stringify(boardSnapshot());
+  net.boardSentAt = now;
+  if (text === net.boardSent) return;
+  net.boardSent = text;
+  if (net.socket && net.socket.readyState === WebSocket.OPEN) net.socket.send(text);
+}
+
+function updateOnline(now) {
+  if (net.live && screen === "playing" && now - net.boardSentAt >= NET_BOARD_MS) sendBoard(now);
+}
+
+function drawOpponent(covered) {
+  if (!opponentCtx) return;
+  clearBoard(opponentCtx);
+  const board = net.opponent;
+  const rival = net.players[1 - net.seat];
+  if (opponentNameEl) opponentNameEl.textContent = rival ? rival.name : "Opponent";
+  if (covered || !board || typeof board.cells !== "string" || board.cells.length !== board.cols * board.rows) return;
+  if (theme.grid) drawGrid(opponentCtx, board.cols, board.rows);
+  for (let i = 0; i < board.cells.length; ++i) {
+    const v = board.cells.charCodeAt(i) - 48;
+    if (v > 0 && v <= GARBAGE_ID) drawCell(opponentCtx, v, i % board.cols, Math.floor(i / board.cols));
+  }
+  setMeter(opponentMeter, Number(board.pending) || 0);
+  if (opponentLinesEl) opponentLinesEl.textContent = String(Number(board.lines) || 0);
+  if (opponentSentEl) opponentSentEl.textContent = String(Number(board.sent) || 0);
+}
+
+/* lobby */
+function renderOnline() {
+  const inRoom = !!net.room;
+  if (onlinePlayers) {
+    fillStatList(onlinePlayers, inRoom ? [0, 1].map(i => {
+      const p = net.players[i];
+      if (!p) return ["Waiting for a player…", ""];
+      const state = !p.connected ? "Reconnecting…" : net.playing ? "Playing" : p.ready ? "Ready" : "Not ready";
+      return [i === net.seat ? `${p.name} (you)` : p.name, state];
+    }) : []);
+  }
+  const me = net.players[net.seat];
+  const full = net.players.filter(Boolean).length === 2;
+  if (onlineCreateBtn) onlineCreateBtn.disabled = inRoom;
+  if (onlineJoinBtn) onlineJoinBtn.disabled = inRoom;
+  if (onlineRoomInput) onlineRoomInput.disabled = inRoom;
+  if (onlineRoomInput && inRoom) onlineRoomInput.value = net.room;
+  if (onlineReadyBtn) {
+    onlineReadyBtn.disabled = !inRoom || !full || net.playing || !net.socket;
+    onlineReadyBtn.textContent = me && me.ready ? "Not Ready" : "Ready";
+    onlineReadyBtn.setAttribute("aria-pressed", String(!!(me && me.ready)));
+  }
+  if (onlineLeaveBtn) onlineLeaveBtn.disabled = !inRoom;
+}
+
+function openOnline() {
+  if (!onlinePanel) return;
+  if (onlineServerInput) {
+    onlineServerInput.value = onlineServer;
+    onlineServerInput.placeholder = relayUrl();
+  }
+  renderOnline();
+  openDialog(onlinePanel);
+}
+
+function leaveRoom() {
+  netSend({ type: "leave" });
+  if (net.live) {
+    net.live = false;
+    game.end(false, "forfeit");
+  }
+  netGone("Left the room");
+}
+
+/* a reload keeps the seat: rejoin the room (conceding a match in progress) */
+function resumeOnlineSession() {
+  let saved = null;
+  try { saved = JSON.parse(sessionStorage.getItem(NET_SESSION_KEY)); } catch (err) { saved = null; }
+  if (!saved || !saved.room || !saved.token) return;
+  net.room = saved.room;
+  net.token = saved.token;
+  netConnect({ type: "resume", v: NET_VERSION, room: saved.room, token: saved.token }, saved.url || relayUrl());
+}
+
+onIf(onlineServerInput, "change", () => {
+  onlineServer = onlineServerInput.value.trim();
+  saveSettings();
+});
+onIf(onlineCreateBtn, "click", () => {
+  setOnlineStatus("Connecting…");
+  netConnect({ type: "create", v: NET_VERSION, name: playerName, rules: hostRules() });
+});
+onIf(onlineJoinBtn, "click", () => {
+  const code = onlineRoomInput ? onlineRoomInput.value.trim().toUpperCase() : "";
+  if (!/^[A-Z]{4}$/.test(code)) { setOnlineStatus("Room codes are four letters"); return; }
+  setOnlineStatus("Connecting…");
+  netConnect({ type: "join", v: NET_VERSION, room: code, name: playerName });
+});
+onIf(onlineReadyBtn, "click", () => {
+  const me = net.players[net.seat];
+  netSend({ type: "ready", ready: !(me && me.ready) });
+});
+onIf(onlineLeaveBtn, "click", leaveRoom);
+onIf(document.getElementById("online-btn"), "click", openOnline);
+onIf(document.getElementById("close-online"), "click", () => closeDialog(onlinePanel));
+
+/* ------------------------
+   Hint & demo
+   The bot's best move can be shown as an outlined ghost, and after a while
+   without input it takes over the board as an attract-mode demo until any
+   key, button or touch.
+---------------------------*/
+const hintToggle = document.getElementById("hint-toggle");
+const demoToggle = document.getElementById("demo-toggle");
+const demoLabel = document.getElementById("demo-label");
+const IDLE_MS = 20000;
+const DEMO_PLAYER = { pps: 2.5, mistakeRate: 0, useHold: true };
+
+let showHint = false;
+let hintMove = null; // { hold, placement } for the current piece
+let demoEnabled = true;
+let demoPlayer = null;
+let lastInputAt = performance.now();
+
+function updateHint() {
+  hintMove = showHint ? bestMove(game.getState(), { useHold: true }) : null;
+}
+
+// hold fires after the swapped-in piece spawns, once holding is used up
+game.on("spawn", updateHint);
+game.on("hold", updateHint);
+
+onIf(hintToggle, "change", () => { showHint = hintToggle.checked; updateHint(); });
+onIf(demoToggle, "change", () => { demoEnabled = demoToggle.checked; });
+
+function startDemo() {
+  game.configure({ mode: "endless" });
+  resetGame(randomSeed());
+  setScreen("playing");
+  demoPlayer = createCpuPlayer(game, DEMO_PLAYER);
+  if (demoLabel) demoLabel.classList.remove("hidden");
+}
+
+function stopDemo() {
+  demoPlayer.detach();
+  demoPlayer = null;
+  if (demoLabel) demoLabel.classList.add("hidden");
+  game.configure({ mode: gameMode });
+  showTitle();
+}
+
+/* note player activity; returns true when it only ended the demo */
+function wakeFromDemo() {
+  lastInputAt = performance.now();
+  if (!demoPlayer) return false;
+  stopDemo();
+  return true;
+}
+
+onIf(document, "pointerdown", () => { wakeFromDemo(); });
+
+/* start the demo when idle, and keep it going after it tops out */
+function updateDemo(now) {
+  if (demoPlayer) {
+    if (game.getState().gameOver) {
+      demoPlayer.detach();
+      resetGame(randomSeed());
+      demoPlayer = createCpuPlayer(game, DEMO_PLAYER);
+    }
+    return;
+  }
+  const idle = now - lastInputAt >= IDLE_MS;
+  const waiting = screen === "title" || screen === "gameover";
+  if (demoEnabled && idle && waiting && !activeDialog && replay.mode !== "playback" && !rivalGame() && gameMode !== "online") startDemo();
+}
+
+/* ------------------------
+   Live stats
+   Rates for the run so far, from the player's own engine events. A piece
+   placed with a hard drop and no soft drop is checked for finesse against
+   the fewest left/right/rotate presses that reach the same placement;
+   anything tucked or soft dropped is not judged. Lock times feed the PPS
+   graph on the results screen.
+---------------------------*/
+const statsToggle = document.getElementById("stats-toggle");
+const statsPanel = document.getElementById("stats-panel");
+const statsList = document.getElementById("stats-list");
+const resultsGraph = document.getElementById("results-graph");
+const resultsGraphCtx = resultsGraph && resultsGraph.getContext("2d");
+const STATS_REFRESH_MS = 200;
+const PPS_WINDOW_MS = 5000;
+const GRAPH_WIDTH = 200;
+const GRAPH_HEIGHT = 56;
+const FINESSE_ACTIONS = ["left", "right", "cw", "ccw", "180"];
+
+let showStats = false;
+let stats = null;
+let statsDrawnAt = 0;
+
+function resetStats() {
+  stats = {
+    cols: game.getState().cols,
+    keys: 0,
+    faults: 0,
+    piece: { presses: 0, soft: false, hard: false },
+    clears: [0, 0, 0, 0, 0], // by lines cleared
+    tspins: 0,
+    lockTimes: [] // ms into the run
+  };
+}
+resetStats();
+
+game.on("reset", () => { resetStats(); renderStats(); });
+game.on("spawn", () => { stats.piece = { presses: 0, soft: false, hard: false }; });
+game.on("input", e => {
+  if (!e.pressed) return;
+  stats.keys++;
+  if (FINESSE_ACTIONS.includes(e.action)) stats.piece.presses++;
+  else if (e.action === "soft") stats.piece.soft = true;
+});
+game.on("hardDrop", () => { stats.piece.hard = true; });
+game.on("lock", e => {
+  const piece = stats.piece;
+  if (piece.hard && !piece.soft) stats.faults += finesseFaults(stats.cols, e.type, e.matrix, e.x, piece.presses) || 0;
+  stats.clears[e.cleared]++;
+  if (e.tspin) stats.tspins++;
+  stats.lockTimes.push(game.getSummary().timeMs);
+  renderStats();
+});
+game.on("gameOver", summary => drawPpsGraph(summary));
+
+function renderStats() {
+  if (statsPanel) statsPanel.classList.toggle("hidden", !showStats);
+  if (!showStats || !statsList) return;
+  statsDrawnAt = performance.now();
+  const s = game.getSummary();
+  const minutes = s.timeMs / 60000;
+  const perMinute = n => (minutes > 0 ? n / minutes : 0).toFixed(1);
+  fillStatList(statsList, [
+    ["Pieces", s.pieces],
+    ["PPS", s.pps.toFixed(2)],
+    ["KPP", (s.pieces ? stats.keys / s.pieces : 0).toFixed(2)],
+    ["LPM", perMinute(s.lines)],
+    ["APM", perMinute(s.attackSent)],
+    ["Finesse faults", stats.faults],
+    ["Singles", stats.clears[1]],
+    ["Doubles", stats.clears[2]],
+    ["Triples", stats.clears[3]],
+    ["Tetrises", stats.clears[4]],
+    ["T-spins", stats.tspins]
+  ]);
+}
+
+/* the clock keeps the rates moving between locks */
+function updateStats(now) {
+  if (showStats && now - statsDrawnAt >= STATS_REFRESH_MS) renderStats();
+}
+
+/* pieces per second over a trailing window, sampled every second, with the
+   run's average dashed across it */
+function drawPpsGraph(summary) {
+  if (!resultsGraph || !resultsGraphCtx) return;
+  const seconds = Math.floor(summary.timeMs / 1000);
+  resultsGraph.classList.toggle("hidden", seconds < 2 || !stats.lockTimes.length);
+  if (resultsGraph.classList.contains("hidden")) return;
+
+  const samples = [];
+  let from = 0, to = 0;
+  for (let t = 1; t <= seconds; ++t) {
+    const end = t * 1000;
+    while (to < stats.lockTimes.length && stats.lockTimes[to] <= end) to++;
+    while (from < to && stats.lockTimes[from] <= end - PPS_WINDOW_MS) from++;
+    samples.push((to - from) / (Math.min(end, PPS_WINDOW_MS) / 1000));
+  }
+  const top = Math.max(summary.pps, ...samples) * 1.15 || 1;
+  const c = resultsGraphCtx;
+  fitCanvas(resultsGraph, c, GRAPH_WIDTH, GRAPH_HEIGHT, 1);
+  c.clearRect(0, 0, GRAPH_WIDTH, GRAPH_HEIGHT);
+  const px = i => samples.length > 1 ? i / (samples.length - 1) * GRAPH_WIDTH : GRAPH_WIDTH / 2;
+  const py = v => GRAPH_HEIGHT - v / top * GRAPH_HEIGHT;
+
+  c.lineWidth = 1;
+  c.strokeStyle = withAlpha(theme.ui.text, 0.5);
+  c.setLineDash([4, 3]);
+  c.beginPath();
+  c.moveTo(0, py(summary.pps));
+  c.lineTo(GRAPH_WIDTH, py(summary.pps));
+  c.stroke();
+  c.setLineDash([]);
+
+  c.lineWidth = 2;
+  c.strokeStyle = theme.ui.accent;
+  c.beginPath();
+  samples.forEach((v, i) => (i ? c.lineTo(px(i), py(v)) : c.moveTo(px(i), py(v))));
+  c.stroke();
+}
+
+onIf(statsToggle, "change", () => { showStats = statsToggle.checked; renderStats(); });
+
+/* ------------------------
+   Finesse trainer
+   In the trainer mode every piece is judged against the fewest presses for
+   where it landed (or, in the target drill, for a random placement drawn as
+   an outline) and faults are flagged as soon as they happen. Targets come
+   from the game seed, so replays show the same drills. Accuracy per piece
+   and orientation is kept across sessions.
+---------------------------*/
+const FINESSE_KEY = "neon_tetris_finesse";
+const ORIENTATIONS = ["0", "R", "2", "L"];
+const FINESSE_STEPS = { left: "left", right: "right", dasLeft: "left", dasRight: "right", cw: "cw", ccw: "ccw", "180": "180" };
+const finessePanel = document.getElementById("finesse-panel");
+const finesseKeysEl = document.getElementById("finesse-keys");
+const finesseFeedback = document.getElementById("finesse-feedback");
+const finesseProgressEl = document.getElementById("finesse-progress");
+const finesseTableEl = document.getElementById("finesse-table");
+const finesseDrillSelect = document.getElementById("finesse-drill");
+const finesseKeysToggle = document.getElementById("finesse-keys-toggle");
+const finesseStatus = document.getElementById("finesse-status");
+
+let finesseDrill = "target"; // "target" | "free"
+let finesseKeyHints = true;
+let finesseRng = createRng(1);
+let finesseTarget = null; // in the target drill: a finessePlacements() entry plus { type, matrix, y }
+let finesseFaulted = false; // the current piece has already been flagged
+let finesseSession = { tries: 0, clean: 0, streak: 0 };
+let finesseProgress = loadFinesseProgress(); // "T0", "TR", ... -> { tries, clean }
+
+function trainerActive() { return game.getState().mode === "finesse"; }
+
+function loadFinesseProgress() {
+  try { return JSON.parse(localStorage.getItem(FINESSE_KEY) || "{}") || {}; } catch (err) { return {}; }
+}
+
+function recordFinesse(type, rotation, clean) {
+  const id = type + ORIENTATIONS[rotation];
+  const entry = finesseProgress[id] || (finesseProgress[id] = { tries: 0, clean: 0 });
+  entry.tries++;
+  if (clean) entry.clean++;
+  finesseSession.tries++;
+  if (clean) finesseSession.clean++;
+  finesseSession.streak = clean ? finesseSession.streak + 1 : 0;
+  localStorage.setItem(FINESSE_KEY, JSON.stringify(finesseProgress));
+}
+
+/* a finesse step as the player's first keyboard key for it, e.g. "hold →" */
+function stepLabel(step) {
+  const action = FINESSE_STEPS[step];
+  const input = bindings[action].find(i => !i.startsWith("Pad")) || bindings[action][0];
+  const label = input ? inputLabel(input) : ACTION_LABELS[action];
+  return step.startsWith("das") ? `hold ${label}` : label;
+}
+
+function pathLabel(path) {
+  return path.length ? path.map(stepLabel).join(" ") : "drop";
+}
+
+/* a target resting on the floor of the (always empty) trainer board */
+function pickTarget(type) {
+  const { cols, rows, buffer } = game.getState();
+  const options = finessePlacements(cols, type);
+  const choice = options[Math.floor(finesseRng() * options.length)];
+  const matrix = rotationsOf(type)[choice.rotation];
+  let bottom = matrix.length - 1;
+  while (bottom > 0 && !matrix[bottom].some(v => v)) bottom--;
+  return Object.assign({ type, matrix, y: buffer + rows - 1 - bottom }, choice);
+}
+
+function setFinesseFeedback(text, tone = "") {
+  if (!finesseFeedback) return;
+  finesseFeedback.textContent = text;
+  finesseFeedback.className = `finesse-feedback ${tone}`.trim();
+}
+
+/* the board outline for the target drill; the bot hint takes precedence */
+function trainerOutline() {
+  return finesseTarget ? { hold: false, placement: finesseTarget } : null;
+}
+
+game.on("reset", e => {
+  finesseRng = createRng(e.seed);
+  finesseTarget = null;
+  setFinesseFeedback("");
+  renderTrainer();
+});
+game.on("spawn", e => {
+  finesseFaulted = false;
+  finesseTarget = trainerActive() && finesseDrill === "target" ? pickTarget(e.type) : null;
+  renderTrainer();
+});
+// runs after the stats handler has counted the press
+game.on("input", e => {
+  if (!finesseTarget || !e.pressed || finesseFaulted) return;
+  if (stats.piece.presses > finesseTarget.path.length) {
+    finesseFaulted = true;
+    setFinesseFeedback(`Fault (optimal: ${pathLabel(finesseTarget.path)})`, "bad");
+  }
+});
+game.on("lock", e => {
+  if (!trainerActive()) return;
+  const piece = stats.piece;
+  const key = finesseKey(e.matrix, e.x);
+  const placed = finessePlacements(stats.cols, e.type).find(p => p.key === key);
+  if (!placed || !piece.hard || piece.soft) {
+    setFinesseFeedback("Not judged: place it with a hard drop");
+    return;
+  }
+  if (finesseTarget && key !== finesseTarget.key) {
+    recordFinesse(e.type, finesseTarget.rotation, false);
+    setFinesseFeedback(`Missed the target (optimal: ${pathLabel(finesseTarget.path)})`, "bad");
+  } else {
+    const faults = Math.max(0, piece.presses - placed.path.length);
+    recordFinesse(e.type, placed.rotation, faults === 0);
+    if (faults) setFinesseFeedback(`${faults} extra (optimal: ${pathLabel(placed.path)})`, "bad");
+    else setFinesseFeedback(`Clean in ${placed.path.length}`, "good");
+  }
+  renderTrainer();
+});
+
+function renderTrainer() {
+  const active = trainerActive();
+  if (finessePanel) finessePanel.classList.toggle("hidden", !active);
+  if (!active) return;
+  if (finesseKeysEl) {
+    finesseKeysEl.textContent = finesseTarget && finesseKeyHints ? pathLabel(finesseTarget.path) : "";
+  }
+  if (finesseProgressEl) {
+    const { tries, clean, streak } = finesseSession;
+    finesseProgressEl.textContent = tries ? `${Math.round(clean / tries * 100)}% of ${tries} • streak ${streak}` : "";
+  }
+  if (!finesseTableEl) return;
+  finesseTableEl.innerHTML = "";
+  for (const type of Object.keys(PIECE_IDS)) {
+    const row = document.createElement("tr");
+    const name = document.createElement("th");
+    name.textContent = type;
+    row.appendChild(name);
+    for (const orientation of ORIENTATIONS) {
+      const cell = document.createElement("td");
+      const entry = finesseProgress[type + orientation];
+      cell.textContent = entry ? `${Math.round(entry.clean / entry.tries * 100)}%` : "–";
+      row.appendChild(cell);
+    }
+    finesseTableEl.appendChild(row);
+  }
+}
+
+if (finesseDrillSelect) finesseDrillSelect.value = finesseDrill;
+// the drill applies from the next piece
+onIf(finesseDrillSelect, "change", () => { finesseDrill = finesseDrillSelect.value; });
+onIf(finesseKeysToggle, "change", () => { finesseKeyHints = finesseKeysToggle.checked; renderTrainer(); });
+onIf(document.getElementById("finesse-reset"), "click", () => {
+  finesseProgress = {};
+  finesseSession = { tries: 0, clean: 0, streak: 0 };
+  localStorage.removeItem(FINESSE_KEY);
+  if (finesseStatus) finesseStatus.textContent = "Finesse progress cleared";
+  renderTrainer();
+});
+
+/* ------------------------
+   Puzzles
+   Set positions for the puzzle mode: a board, the exact pieces to come (and
+   maybe one in hold) and a goal the engine checks. The editor paints the
+   board, and a puzzle travels as a code in the URL hash (#puzzle=...), which
+   is base64url JSON: { v, t: title, b: board rows as letters (lowest rows,
+   top to bottom), q: queue, h: hold, g: goal }. Undo steps back a piece;
+   Restart retries.
+---------------------------*/
+const PUZZLE_VERSION = 1;
+const PUZZLE_CELLS = ".IOTSZJLG"; // letter per cell id: empty, pieces, garbage
+const EDITOR_CELL = 14; // CSS px per editor cell
+const PUZZLE_PACK = [
+  { title: "First Tetris", board: ["GGGGGGGGG.", "GGGGGGGGG.", "GGGGGGGGG.", "GGGGGGGGG."], queue: "I", goal: { type: "tetris" } },
+  { title: "T-Spin Double", board: ["GGG.......", "GG...GGGGG", "GGG.GGGGGG", "GGGGGGGG.G"], queue: "T", goal: { type: "tspin", lines: 2 } },
+  { title: "Hold It", board: ["GGG.......", "GG...GGGGG", "GGG.GGGGGG", "GGGGGGGG.G"], queue: "ST", goal: { type: "tspin", lines: 2, pieces: 1 } },
+  { title: "Twin Ls", board: ["GG....GGGG", "GG....GGGG"], queue: "LL", goal: { type: "pc", pieces: 2 } },
+  { title: "Three Piece PC", board: ["GG......GG", "GG......GG"], queue: "OJJ", goal: { type: "pc", pieces: 3 } },
+  { title: "Four Lines, Four Pieces", board: ["GGGGGG....", "GGGGGG....", "GGGGGG....", "GGGGGG...."], queue: "LJOI", goal: { type: "lines", lines: 4, pieces: 4 } }
+];
+const puzzlePanel = document.getElementById("puzzle-panel");
+const puzzlePackSelect = document.getElementById("puzzle-pack");
+const puzzleNameInput = document.getElementById("puzzle-name");
+const puzzleCanvas = document.getElementById("puzzle-canvas");
+const puzzleCtx = puzzleCanvas && puzzleCanvas.getContext("2d");
+const puzzlePalette = document.getElementById("puzzle-palette");
+const puzzleQueueInput = document.getElementById("puzzle-queue");
+const puzzleHoldSelect = document.getElementById("puzzle-hold");
+const puzzleGoalSelect = document.getElementById("puzzle-goal");
+const puzzleLinesInput = document.getElementById("puzzle-goal-lines");
+const puzzlePiecesInput = document.getElementById("puzzle-goal-pieces");
+const puzzleGoalText = document.getElementById("puzzle-goal-text");
+const puzzleData = document.getElementById("puzzle-data");
+const puzzleStatus = document.getElementById("puzzle-status");
+const undoBtn = document.getElementById("undo-btn");
+
+let activePuzzle = null; // the puzzle the engine plays, as an editor draft
+let puzzleDraft = null; // { title, board: rows of cell ids, queue: "TIO", hold: "" | type, goal }
+let paintValue = GARBAGE_ID;
+let strokeValue = null; // what the current drag paints, or null
+let editorCursor = null; // the cell keys paint while the board has focus
+
+function setPuzzleStatus(text) { if (puzzleStatus) puzzleStatus.textContent = text; }
+
+/* rows of letters (lowest rows, top to bottom) -> a boardRows x boardCols grid */
+function boardFromRows(rows) {
+  const board = Array.from({ length: boardRows }, () => new Array(boardCols).fill(0));
+  rows.slice(-boardRows).forEach((row, i) => {
+    const y = boardRows - Math.min(rows.length, boardRows) + i;
+    for (let x = 0; x < boardCols && x < row.length; ++x) board[y][x] = Math.max(0, PUZZLE_CELLS.indexOf(row[x]));
+  });
+  return board;
+}
+
+/* the grid's rows as letters, from its highest filled row down */
+function rowsFromBoard(board) {
+  const first = board.findIndex(row => row.some(v => v));
+  return first < 0 ? [] : board.slice(first).map(row => row.map(v => PUZZLE_CELLS[v] || ".").join(""));
+}
+
+function cleanQueue(text) {
+  return String(text).toUpperCase().split("").filter(ch => PIECE_IDS[ch]).join("");
+}
+
+function draftFrom({ title, board, queue, hold, goal }) {
+  const g = goal || {};
+  return {
+    title: String(title || "Untitled").slice(0, 40),
+    board: boardFromRows(Array.isArray(board) ? board.map(String) : []),
+    queue: cleanQueue(queue || ""),
+    hold: PIECE_IDS[hold] ? hold : "",
+    goal: { type: g.type || "lines", lines: g.lines || (g.type === "tspin" ? 2 : 4), pieces: g.pieces || 0 }
+  };
+}
+
+function copyDraft(draft) {
+  return Object.assign({}, draft, { board: draft.board.map(row => row.slice()), goal: Object.assign({}, draft.goal) });
+}
+
+function encodePuzzle(draft) {
+  const data = { v: PUZZLE_VERSION, t: draft.title, b: rowsFromBoard(draft.board), q: draft.queue, h: draft.hold, g: draft.goal };
+  const bytes = new TextEncoder().encode(JSON.stringify(data));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/* a code, a #puzzle= hash or a whole shared link -> draft; throws on bad input */
+function decodePuzzle(text) {
+  const code = String(text).trim().replace(/^.*[#&]puzzle=/, "");
+  const binary = atob(code.replace(/-/g, "+").replace(/_/g, "/"));
+  const data = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, ch => ch.charCodeAt(0))));
+  if (!data || data.v !== PUZZLE_VERSION || !Array.isArray(data.b)) throw new Error("Unsupported puzzle");
+  const draft = draftFrom({ title: data.t, board: data.b, queue: data.q, hold: data.h, goal: data.g });
+  if (!enginePuzzle(draft)) throw new Error("Puzzle has no pieces");
+  return draft;
+}
+
+/* the engine's form (see TetrisCore puzzles), or null without pieces */
+function enginePuzzle(draft) {
+  const first = draft.board.findIndex(row => row.some(v => v));
+  return normalizePuzzle({
+    board: first < 0 ? [] : draft.board.slice(first),
+    queue: draft.queue.split(""),
+    hold: draft.hold || null,
+    goal: draft.goal
+  });
+}
+
+function describeGoal(goal) {
+  const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+  const text = {
+    lines: `Clear ${plural(goal.lines, "line")}`,
+    tetris: "Clear a Tetris",
+    tspin: `T-spin ${["", "single", "double", "triple"][goal.lines] || ""}`,
+    pc: "Perfect clear"
+  }[goal.type];
+  return goal.pieces ? `${text} within ${plural(goal.pieces, "piece")}` : text;
+}
+
+/* the puzzle the engine plays from the next reset (falls back to the first built-in) */
+function setActivePuzzle(draft) {
+  activePuzzle = copyDraft(draft || draftFrom(PUZZLE_PACK[0]));
+  game.configure({ puzzle: enginePuzzle(activePuzzle) });
+}
+
+function playPuzzle(draft) {
+  setActivePuzzle(draft);
+  releaseAllInputs();
+  gameMode = "puzzle";
+  game.configure({ mode: gameMode });
+  if (modeSelect) modeSelect.value = gameMode;
+  saveSettings();
+  closeDialog(puzzlePanel);
+  if (replay.mode === "playback") stopPlayback();
+  else startGame();
+}
+
+/* step back one piece, also out of a finished puzzle */
+function undoPuzzle() {
+  if (replay.mode === "playback" || game.getState().mode !== "puzzle") return;
+  if (screen === "playing" || screen === "gameover") game.undo();
+}
+
+game.on("reset", () => { if (undoBtn) undoBtn.classList.toggle("hidden", game.getState().mode !== "puzzle"); });
+// also fired by replays, which can undo out of a finished puzzle too
+game.on("undo", () => {
+  updateHud();
+  if (screen === "gameover") setScreen("playing");
+});
+
+/* editor */
+function fitDraft() {
+  if (puzzleDraft.board.length !== boardRows || puzzleDraft.board[0].length !== boardCols) {
+    puzzleDraft.board = boardFromRows(rowsFromBoard(puzzleDraft.board));
+  }
+}
+
+function drawEditor() {
+  if (!puzzleCtx) return;
+  fitCanvas(puzzleCanvas, puzzleCtx, boardCols * EDITOR_CELL, boardRows * EDITOR_CELL, EDITOR_CELL);
+  puzzleCtx.fillStyle = theme.background;
+  puzzleCtx.fillRect(0, 0, boardCols, boardRows);
+  drawGrid(puzzleCtx, boardCols, boardRows);
+  puzzleDraft.board.forEach((row, y) => row.forEach((v, x) => { if (v) drawCell(puzzleCtx, v, x, y); }));
+  if (editorCursor) {
+    puzzleCtx.strokeStyle = theme.ui.text;
+    puzzleCtx.lineWidth = 0.12;
+    puzzleCtx.strokeRect(editorCursor.x + 0.06, editorCursor.y + 0.06, 0.88, 0.88);
+  }
+}
+
+function renderPalette() {
+  if (!puzzlePalette) return;
+  const refocus = puzzlePalette.contains(document.activeElement);
+  puzzlePalette.innerHTML = "";
+  PUZZLE_CELLS.split("").forEach((letter, v) => {
+    const swatch = document.createElement("button");
+    swatch.className = "puzzle-swatch";
+    swatch.textContent = v ? letter : "×";
+    swatch.style.background = v ? palette[v] : "transparent";
+    if (!v) swatch.style.color = theme.ui.text;
+    swatch.setAttribute("aria-label", v === GARBAGE_ID ? "Garbage" : v ? `${letter} piece` : "Erase");
+    swatch.setAttribute("aria-pressed", String(v === paintValue));
+    swatch.addEventListener("click", () => { paintValue = v; renderPalette(); });
+    puzzlePalette.appendChild(swatch);
+    if (refocus && v === paintValue) swatch.focus();
+  });
+}
+
+/* fill the form from the draft */
+function renderEditor() {
+  fitDraft();
+  if (puzzleNameInput) puzzleNameInput.value = puzzleDraft.title;
+  if (puzzleQueueInput) puzzleQueueInput.value = puzzleDraft.queue;
+  if (puzzleHoldSelect) puzzleHoldSelect.value = puzzleDraft.hold;
+  if (puzzleGoalSelect) puzzleGoalSelect.value = puzzleDraft.goal.type;
+  if (puzzleLinesInput) {
+    puzzleLinesInput.value = String(puzzleDraft.goal.lines);
+    puzzleLinesInput.max = puzzleDraft.goal.type === "tspin" ? "3" : "99";
+    puzzleLinesInput.disabled = puzzleDraft.goal.type !== "lines" && puzzleDraft.goal.type !== "tspin";
+  }
+  if (puzzlePiecesInput) puzzlePiecesInput.value = String(puzzleDraft.goal.pieces);
+  if (puzzleGoalText) puzzleGoalText.textContent = describeGoal(puzzleDraft.goal);
+  renderPalette();
+  drawEditor();
+}
+
+/* read the form back into the draft, clamped like the engine will */
+function readEditor() {
+  if (puzzleNameInput) puzzleDraft.title = puzzleNameInput.value.trim().slice(0, 40) || "Untitled";
+  if (puzzleQueueInput) puzzleDraft.queue = cleanQueue(puzzleQueueInput.value);
+  if (puzzleHoldSelect) puzzleDraft.hold = puzzleHoldSelect.value;
+  const goal = normalizePuzzle({ queue: ["I"], goal: {
+    type: puzzleGoalSelect ? puzzleGoalSelect.value : "lines",
+    lines: puzzleLinesInput ? puzzleLinesInput.value : 4,
+    pieces: puzzlePiecesInput ? puzzlePiecesInput.value : 0
+  } }).goal;
+  puzzleDraft.goal = goal;
+  if (puzzlePackSelect) puzzlePackSelect.value = "";
+  renderEditor();
+}
+
+function editorCell(e) {
+  const rect = puzzleCanvas.getBoundingClientRect();
+  if (!rect.width || !rect.height) return null;
+  const x = Math.floor((e.clientX - rect.left) / rect.width * boardCols);
+  const y = Math.floor((e.clientY - rect.top) / rect.height * boardRows);
+  return x >= 0 && y >= 0 && x < boardCols && y < boardRows ? { x, y } : null;
+}
+
+function paintCell(cell) {
+  if (!cell || puzzleDraft.board[cell.y][cell.x] === strokeValue) return;
+  puzzleDraft.board[cell.y][cell.x] = strokeValue;
+  if (puzzlePackSelect) puzzlePackSelect.value = "";
+  drawEditor();
+}
+
+// a drag paints with the chosen cell, or erases if it started on that cell already
+onIf(puzzleCanvas, "pointerdown", e => {
+  const cell = editorCell(e);
+  if (!cell) return;
+  strokeValue = puzzleDraft.board[cell.y][cell.x] === paintValue ? 0 : paintValue;
+  if (editorCursor) editorCursor = cell;
+  if (puzzleCanvas.setPointerCapture && e.pointerId !== undefined) puzzleCanvas.setPointerCapture(e.pointerId);
+  paintCell(cell);
+});
+onIf(puzzleCanvas, "pointermove", e => { if (strokeValue !== null) paintCell(editorCell(e)); });
+onIf(puzzleCanvas, "pointerup", () => { strokeValue = null; });
+onIf(puzzleCanvas, "pointercancel", () => { strokeValue = null; });
+
+function describeEditorCell() {
+  const { x, y } = editorCursor;
+  const v = puzzleDraft.board[y][x];
+  const what = !v ? "empty" : v === GARBAGE_ID ? "garbage" : PUZZLE_CELLS[v];
+  announce(`Column ${x + 1}, row ${boardRows - y}, ${what}`);
+}
+
+// from the keyboard: arrows move a cursor, Space or Enter paints like a click
+onIf(puzzleCanvas, "focus", () => {
+  editorCursor = editorCursor || { x: 0, y: boardRows - 1 };
+  drawEditor();
+  describeEditorCell();
+});
+onIf(puzzleCanvas, "blur", () => { editorCursor = null; drawEditor(); });
+onIf(puzzleCanvas, "keydown", e => {
+  if (!editorCursor) return;
+  const step = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] }[e.key];
+  const { x, y } = editorCursor;
+  if (step) {
+    editorCursor = {
+      x: Math.max(0, Math.min(boardCols - 1, x + step[0])),
+      y: Math.max(0, Math.min(boardRows - 1, y + step[1]))
+    };
+  } else if (e.key === " " || e.key === "Enter") {
+    strokeValue = puzzleDraft.board[y][x] === paintValue ? 0 : paintValue;
+    paintCell(editorCursor);
+    strokeValue = null;
+  } else {
+    return;
+  }
+  e.preventDefault();
+  drawEditor();
+  describeEditorCell();
+});
+
+if (puzzlePackSelect) {
+  puzzlePackSelect.innerHTML = `<option value="">Custom</option>` +
+    PUZZLE_PACK.map((p, i) => `<option value="${i}">${p.title}</option>`).join("");
+}
+if (puzzleHoldSelect) {
+  puzzleHoldSelect.innerHTML = `<option value="">Nothing</option>` +
+    Object.keys(PIECE_IDS).map(type => `<option value="${type}">${type}</option>`).join("");
+}
+
+onIf(puzzlePackSelect, "change", () => {
+  const entry = PUZZLE_PACK[Number(puzzlePackSelect.value)];
+  if (!puzzlePackSelect.value || !entry) return;
+  puzzleDraft = draftFrom(entry);
+  renderEditor();
+  setPuzzleStatus("");
+});
+for (const input of [puzzleNameInput, puzzleQueueInput, puzzleHoldSelect, puzzleGoalSelect, puzzleLinesInput, puzzlePiecesInput]) {
+  onIf(input, "change", readEditor);
+}
+onIf(document.getElementById("puzzle-clear"), "click", () => {
+  puzzleDraft.board = boardFromRows([]);
+  if (puzzlePackSelect) puzzlePackSelect.value = "";
+  drawEditor();
+});
+onIf(document.getElementById("puzzle-play"), "click", () => {
+  if (!enginePuzzle(puzzleDraft)) { setPuzzleStatus("Add at least one piece to the queue or hold"); return; }
+  playPuzzle(puzzleDraft);
+});
+onIf(document.getElementById("puzzle-share"), "click", () => {
+  if (!puzzleData) return;
+  if (!enginePuzzle(puzzleDraft)) { setPuzzleStatus("Add at least one piece to the queue or hold"); return; }
+  puzzleData.value = `${location.href.split("#")[0]}#puzzle=${encodePuzzle(puzzleDraft)}`;
+  puzzleData.select();
+  if (navigator.clipboard) navigator.clipboard.writeText(puzzleData.value).catch(() => {});
+  setPuzzleStatus("Link copied");
+});
+onIf(document.getElementById("puzzle-load"), "click", () => {
+  if (!puzzleData) return;
+  try {
+    puzzleDraft = decodePuzzle(puzzleData.value);
+    if (puzzlePackSelect) puzzlePackSelect.value = "";
+    renderEditor();
+    setPuzzleStatus(`Loaded "${puzzleDraft.title}"`);
+  } catch (err) {
+    setPuzzleStatus("Invalid puzzle code");
+  }
+});
+
+onIf(document.getElementById("puzzle-btn"), "click", () => {
+  // edit a copy of whatever is set up to play
+  puzzleDraft = copyDraft(activePuzzle);
+  const packIndex = PUZZLE_PACK.findIndex(p => encodePuzzle(draftFrom(p)) === encodePuzzle(puzzleDraft));
+  if (puzzlePackSelect) puzzlePackSelect.value = packIndex >= 0 ? String(packIndex) : "";
+  setPuzzleStatus("");
+  renderEditor();
+  openDialog(puzzlePanel);
+});
+onIf(document.getElementById("close-puzzles"), "click", () => closeDialog(puzzlePanel));
+onIf(undoBtn, "click", () => { undoPuzzle(); canvas.focus(); });
+
+/* a shared link opens on its puzzle, ready to play from the title screen */
+function loadPuzzleFromHash() {
+  if (!/^#puzzle=/.test(location.hash)) return false;
+  try {
+    setActivePuzzle(decodePuzzle(location.hash));
+  } catch (err) {
+    return false;
+  }
+  gameMode = "puzzle";
+  game.configure({ mode: gameMode });
+  if (modeSelect) modeSelect.value = gameMode;
+  return true;
+}
+
+window.addEventListener("hashchange", () => {
+  if (replay.mode !== "playback" && loadPuzzleFromHash()) showTitle();
+});
+
+/* ------------------------
+   Fumen
+   Boards travel as fumen v115 strings (see fumen.js), the community's format.
+   Fumen is 10 wide, so other widths line up with it on the left, centre or
+   right, or the board switches to 10 wide when one loads. Loading a page
+   fills the puzzle editor; the queue goes with it as a quiz comment.
+---------------------------*/
+const fumenAlignSelect = document.getElementById("fumen-align");
+const fumenPageInput = document.getElementById("fumen-page");
+const fumenData = document.getElementById("fumen-data");
+
+let fumenAlign = "left"; // TetrisFumen.ALIGNS, or "resize" (exports line up left)
+
+function showFumen(text) {
+  if (!fumenData) return;
+  fumenData.value = text;
+  fumenData.select();
+  if (navigator.clipboard) navigator.clipboard.writeText(text).catch(() => {});
+  setPuzzleStatus("Fumen copied");
+}
+
+/* the running game: field, falling piece, hold and what comes next */
+function gameFumen() {
+  return TetrisFumen.encode([TetrisFumen.pageFromState(game.getState(), { align: fumenAlign })]);
+}
+
+/* the editor's board with its pieces and hold */
+function draftFumen(draft) {
+  const state = { cols: boardCols, rows: boardRows, buffer: 0, arena: draft.board, player: null, queue: draft.queue.split(""), hold: draft.hold || null };
+  return TetrisFumen.encode([TetrisFumen.pageFromState(state, { align: fumenAlign })]);
+}
+
+/* one page of a fumen into the editor draft; throws on bad input */
+function loadFumen(text) {
+  const pages = TetrisFumen.decode(text);
+  const page = Math.max(1, Math.min(pages.length, Math.round(Number(fumenPageInput && fumenPageInput.value)) || 1));
+  if (fumenAlign === "resize" && boardCols !== FUMEN_COLS) {
+    changeBoard({ cols: FUMEN_COLS, rows: boardRows, partialLockOut });
+    saveSettings();
+  }
+  const setup = TetrisFumen.pageToSetup(pages, page - 1, { cols: boardCols, align: fumenAlign });
+  puzzleDraft = draftFrom({
+    title: setup.title || `Fumen page ${page}`,
+    board: setup.board.map(row => row.map(v => PUZZLE_CELLS[v]).join("")),
+    queue: setup.queue.join(""),
+    hold: setup.hold,
+    goal: puzzleDraft.goal
+  });
+  if (puzzlePackSelect) puzzlePackSelect.value = "";
+  renderEditor();
+  return { page, pages: pages.length };
+}
+
+if (fumenAlignSelect) fumenAlignSelect.value = fumenAlign;
+onIf(fumenAlignSelect, "change", () => { fumenAlign = fumenAlignSelect.value; saveSettings(); });
+onIf(document.getElementById("fumen-copy-game"), "click", () => showFumen(gameFumen()));
+onIf(document.getElementById("fumen-copy-editor"), "click", () => showFumen(draftFumen(puzzleDraft)));
+onIf(document.getElementById("fumen-load"), "click", () => {
+  if (!fumenData) return;
+  try {
+    const { page, pages } = loadFumen(fumenData.value);
+    setPuzzleStatus(`Loaded fumen page ${page} of ${pages}`);
+  } catch (err) {
+    setPuzzleStatus("Invalid fumen");
+  }
+});
+
+/* ------------------------
+   Effects
+   Purely visual and timed in real milliseconds, so the engine never waits
+   on them: cleared rows flash and dissolve into particles, hard drops leave
+   a trail and nudge the board, Tetrises and T-spins hit harder, and a top
+   out greys the stack from the bottom up. Performance mode skips particles
+   and trails; reduced motion (the setting, or the system preference) also
+   skips the shake and turns the dissolve and sweep into plain fades.
+---------------------------*/
+const FLASH_MS = 160;
+const BIG_FLASH_MS = 260;
+const TRAIL_MS = 200;
+const TOP_OUT_MS = 900;
+const MAX_PARTICLES = 600;
+const reducedMotionToggle = document.getElementById("reduced-motion-toggle");
+const reducedMotionQuery = window.matchMedia ? window.matchMedia("(prefers-reduced-motion: reduce)") : null;
+let reducedMotionSetting = false;
+
+function reducedMotion() {
+  return reducedMotionSetting || !!(reducedMotionQuery && reducedMotionQuery.matches);
+}
+
+onIf(reducedMotionToggle, "change", () => { reducedMotionSetting = reducedMotionToggle.checked; });
+
+/* per-board effect state, fed by that board's engine events */
+function attachEffects(g) {
+  const fx = { flashes: [], trails: [], particles: [], shake: null, topOut: null, last: 0 };
+  g.on("reset", () => {
+    fx.flashes = []; fx.trails = []; fx.particles = [];
+    fx.shake = null; fx.topOut = null;
+  });
+  g.on("hardDrop", e => {
+    const now = performance.now();
+    if (e.distance > 0 && !performanceMode && !reducedMotion()) {
+      const columns = [];
+      for (let x = 0; x < e.matrix[0].length; ++x) {
+        const top = e.matrix.findIndex(row => row[x]);
+        if (top >= 0) columns.push({ x: e.x + x, y: e.y + top });
+      }
+      fx.trails.push({ start: now, columns, distance: e.distance, color: palette[PIECE_IDS[e.type]] });
+    }
+    shakeBoard(fx, 0, Math.min(0.25, 0.05 + e.distance * 0.01), 120);
+  });
+  g.on("clear", e => {
+    // Tetrises, T-spins and perfect clears get the big version
+    const big = e.cleared >= 4 || !!e.tspin || e.perfectClear;
+    fx.flashes.push({ start: performance.now(), rows: e.rows, big, burst: false });
+    if (big) shakeBoard(fx, 0.3, 0.3, 300);
+  });
+  g.on("gameOver", e => { if (!e.won) fx.topOut = { start: performance.now() }; });
+  return fx;
+}
+
+function shakeBoard(fx, dx, dy, ms) {
+  if (reducedMotion()) return;
+  fx.shake = { start: performance.now(), dx, dy, ms };
+}
+
+/* the board's offset in cells for the current shake */
+function shakeOffset(fx, now) {
+  const s = fx.shake;
+  if (!s) return { x: 0, y: 0 };
+  const t = (now - s.start) / s.ms;
+  if (t >= 1) { fx.shake = null; return { x: 0, y: 0 }; }
+  const fade = 1 - t;
+  return { x: s.dx * fade * Math.sin(t * 40), y: s.dy * fade * Math.cos(t * 30) };
+}
+
+/* neon sparks from every cell of the cleared rows */
+function burst(fx, flash) {
+  if (performanceMode || reducedMotion()) return;
+  const perCell = flash.big ? 4 : 2;
+  for (const row of flash.rows) {
+    row.cells.forEach((v, x) => {
+      for (let i = 0; i < perCell && fx.particles.length < MAX_PARTICLES; ++i) {
+        const speed = (flash.big ? 9 : 5) * (0.4 + Math.random());
+        const angle = Math.random() * Math.PI * 2;
+        fx.particles.push({
+          x: x + 0.5, y: row.y + 0.5,
+          vx: Math.cos(angle) * speed, vy: Math.sin(angle) * speed - 3,
+          life: 0, max: 400 + Math.random() * 400,
+          color: palette[v] || theme.ui.accent
+        });
+      }
+    });
+  }
+}
+
+/* draw a board's effects over it (c is in cell units) and age them */
+function drawEffects(c, fx, state, now) {
+  const dt = fx.last ? Math.min(100, now - fx.last) : 0;
+  fx.last = now;
+  const still = reducedMotion();
+  // trails, flashes and particles are in arena rows, like the board
+  c.save();
+  c.translate(0, -state.buffer);
+
+  fx.trails = fx.trails.filter(t => now - t.start < TRAIL_MS);
+  for (const trail of fx.trails) {
+    c.save();
+    c.globalAlpha = 0.35 * (1 - (now - trail.start) / TRAIL_MS);
+    c.fillStyle = trail.color;
+    for (const col of trail.columns) c.fillRect(col.x + 0.2, col.y - trail.distance, 0.6, trail.distance);
+    c.restore();
+  }
+
+  fx.flashes = fx.flashes.filter(f => {
+    const ms = f.big ? BIG_FLASH_MS : FLASH_MS;
+    const t = (now - f.start) / ms;
+    if (t >= 1) { if (!f.burst) { f.burst = true; burst(fx, f); } return false; }
+    c.save();
+    c.globalAlpha = 1 - t;
+    c.fillStyle = "#fff";
+    setGlow(c, 20, f.big ? theme.ui.accent2 : theme.ui.accent);
+    // rows shrink to a line as they dissolve; reduced motion only fades them
+    const h = still ? 1 : 1 - t;
+    for (const row of f.rows) c.fillRect(0, row.y + (1 - h) / 2, state.cols, h);
+    c.restore();
+    return true;
+  });
+
+  if (fx.particles.length) {
+    const s = dt / 1000;
+    c.save();
+    fx.particles = fx.particles.filter(p => {
+      p.life += dt;
+      if (p.life >= p.max) return false;
+      p.vy += 18 * s; // gravity, cells / s²
+      p.x += p.vx * s;
+      p.y += p.vy * s;
+      c.globalAlpha = 1 - p.life / p.max;
+      c.fillStyle = p.color;
+      c.fillRect(p.x - 0.1, p.y - 0.1, 0.2, 0.2);
+      return true;
+    });
+    c.restore();
+  }
+  c.restore();
+
+  if (fx.topOut) {
+    const t = Math.min(1, (now - fx.topOut.start) / TOP_OUT_MS);
+    c.save();
+    c.fillStyle = "rgba(60,60,60,0.75)";
+    if (still) {
+      c.globalAlpha = t;
+      c.fillRect(0, 0, state.cols, state.rows);
+    } else {
+      // grey the stack row by row from the floor up
+      const rows = Math.ceil(t * state.rows);
+      c.fillRect(0, state.rows - rows, state.cols, rows);
+    }
+    c.restore();
+  }
+}
+
+const boardEffects = new Map([game, p2Game, cpuGame].map(g => [g, attachEffects(g)]));
+
+/* a board with its effects, shaken if need be */
+function drawBoardWithEffects(c, g, state, interp, hint) {
+  const fx = boardEffects.get(g);
+  const now = performance.now();
+  const shake = shakeOffset(fx, now);
+  if (shake.x || shake.y) {
+    clearBoard(c);
+    c.save();
+    c.translate(shake.x, shake.y);
+  }
+  drawBoard(c, state, interp, hint);
+  drawEffects(c, fx, state, now);
+  if (shake.x || shake.y) c.restore();
+}
+
+/* ------------------------
+   Screen reader & audio cues
+   A visually hidden live region reads out the pieces, clears, level ups,
+   a stack nearing the top and the result. Audio cues give the same height
+   and the falling piece's column as tones: height on spawn, column (also
+   panned left to right) on every move or rotation.
+---------------------------*/
+const announcer = document.getElementById("announcer");
+const announceSelect = document.getElementById("announce-mode");
+const audioCuesToggle = document.getElementById("audio-cues-toggle");
+const ANNOUNCE_MODES = ["off", "events", "all"]; // "all" adds every new piece
+const DANGER_ROWS = 4; // free rows left at which the stack counts as high
+let announceMode = "all";
+let audioCues = false;
+let announceQueue = [];
+let inDanger = false;
+
+/* messages from one step are read together */
+function announce(text, everyPiece = false) {
+  if (!announcer || demoPlayer || announceMode === "off" || (everyPiece && announceMode !== "all")) return;
+  if (!announceQueue.length) setTimeout(flushAnnouncements, 0);
+  announceQueue.push(text);
+}
+
+function flushAnnouncements() {
+  if (!announceQueue.length) return;
+  const text = announceQueue.join(". ");
+  announceQueue = [];
+  // the same text again wouldn't be read, so it alternates a trailing space
+  const same = announcer.textContent.replace(/\u00a0$/, "") === text;
+  announcer.textContent = same && !announcer.textContent.endsWith("\u00a0") ? `${text}\u00a0` : text;
+}
+
+function stackHeight(state) {
+  const top = state.arena.findIndex(row => row.some(v => v));
+  return top < 0 ? 0 : state.arena.length - top;
+}
+
+/* leftmost column and width of the falling piece */
+function pieceColumns(player) {
+  let min = Infinity, max = -Infinity;
+  player.matrix.forEach(row => row.forEach((v, x) => {
+    if (v) { min = Math.min(min, x); max = Math.max(max, x); }
+  }));
+  return { x: player.pos.x + min, width: max - min + 1 };
+}
+
+function spokenClear(e) {
+  const name = e.name.toLowerCase().replace("b2b", "back-to-back").replace("t-spin", "T-spin");
+  const text = name[0].toUpperCase() + name.slice(1);
+  return e.combo > 0 ? `${text}, ${e.combo} combo` : text;
+}
+
+function heightCue(state) {
+  if (!audioCues || !soundEnabled || demoPlayer) return;
+  const height = Math.min(1, stackHeight(state) / state.rows);
+  tone({ freq: midiToFreq(45 + Math.round(height * 24)), length: 0.12, type: inDanger ? "square" : "triangle", gain: 0.12 });
+}
+
+function columnCue() {
+  if (!audioCues || !soundEnabled || demoPlayer) return;
+  const state = game.getState();
+  if (!state.player) return;
+  const { x, width } = pieceColumns(state.player);
+  const at = Math.max(0, Math.min(1, (x + width / 2) / state.cols));
+  tone({ freq: midiToFreq(60 + Math.round(at * 24)), length: 0.06, gain: 0.1, pan: at * 2 - 1 });
+}
+
+function spokenPiece(state) {
+  const type = state.player.type;
+  return state.queue.length ? `${type} piece, next ${state.queue[0]}` : `${type} piece`;
+}
+
+/* a game's first piece spawns before play starts, so it's read with the mode
+   (replacing anything the old game left queued) */
+function announceStart() {
+  const state = game.getState();
+  announceQueue = [];
+  announce(MODES[state.mode].label);
+  if (state.player) announce(spokenPiece(state), true);
+}
+
+game.on("reset", () => { inDanger = false; });
+game.on("spawn", () => {
+  const state = game.getState();
+  const free = state.rows - stackHeight(state);
+  const danger = free <= DANGER_ROWS;
+  if (screen !== "playing") { inDanger = danger; return; }
+  if (danger && !inDanger) announce(`Danger, ${Math.max(0, free)} rows left`);
+  inDanger = danger;
+  announce(spokenPiece(state), true);
+  heightCue(state);
+});
+game.on("hold", e => announce(`Holding ${e.type}`, true));
+game.on("lock", e => { if (e.name) announce(spokenClear(e)); });
+game.on("levelUp", e => announce(`Level ${e.level}`));
+game.on("pause", e => announce(e.paused ? "Paused" : "Resumed"));
+game.on("move", columnCue);
+game.on("rotate", columnCue);
+
+onIf(announceSelect, "change", () => { announceMode = announceSelect.value; });
+onIf(audioCuesToggle, "change", () => { audioCues = audioCuesToggle.checked; });
+
+/* ------------------------
+   Saved settings
+   The settings panel, mode and controls are kept under one versioned
+   localStorage entry. Older data is upgraded by running MIGRATIONS in
+   order; missing or mistyped values fall back to DEFAULT_SETTINGS.
+---------------------------*/
+const SETTINGS_KEY = "neon_tetris_settings";
+const SETTINGS_VERSION = 1;
+const LEGACY_BINDINGS_KEY = "neon_tetris_bindings";
+const DEFAULT_SETTINGS = {
+  performanceMode: false, glow: true, fps: 30, speedCurve: "guideline", gravity: 1, sound: true,
+  music: true, masterVolume: 80, sfxVolume: 80, musicVolume: 50,
+  mode: "endless", attackTable: "guideline", cpuLevel: "medium", duelGarbage: true,
+  hint: false, demo: true, stats: false, finesseDrill: "target", finesseKeys: true, playerName: "Player", bindings: null, previews: 5, reducedMotion: false,
+  touchLayout: "bottom", touchSize: 100, haptics: true, gestures: true,
+  boardCols: 10, boardRows: 20, partialLockOut: false,
+  theme: "neon", customTheme: null, puzzle: null, fumenAlign: "left", onlineServer: "",
+  announce: "all", audioCues: false,
+  handling: Object.assign({}, DEFAULT_HANDLING)
+};
+const playerNameInput = document.getElementById("player-name");
+
+// MIGRATIONS[n] turns version n data into version n + 1
+const MIGRATIONS = [
+  // 0 -> 1: unversioned builds only saved key bindings, under their own key
+  data => {
+    let legacy = null;
+    try { legacy = JSON.parse(localStorage.getItem(LEGACY_BINDINGS_KEY) || "null"); } catch (err) { legacy = null; }
+    localStorage.removeItem(LEGACY_BINDINGS_KEY);
+    return Object.assign({}, data, { v: 1, bindings: legacy });
+  }
+];
+
+function loadSettings() {
+  let data = null;
+  try { data = JSON.parse(localStorage.getItem(SETTINGS_KEY) || "null"); } catch (err) { data = null; }
+  if (!data || typeof data !== "object") data = { v: 0 };
+  const from = Number(data.v) || 0;
+  for (let v = from; v < SETTINGS_VERSION; ++v) data = MIGRATIONS[v](data);
+  if (from < SETTINGS_VERSION) localStorage.setItem(SETTINGS_KEY, JSON.stringify(data));
+  const settings = {};
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    const value = data[key], fallback = DEFAULT_SETTINGS[key];
+    const ok = value !== undefined && value !== null && (fallback === null || typeof value === typeof fallback);
+    settings[key] = ok ? value : fallback;
+  }
+  return settings;
+}
+
+function currentSettings() {
+  return {
+    v: SETTINGS_VERSION,
+    performanceMode,
+    glow: glowToggle ? glowToggle.checked : neonGlow,
+    fps: Number(fpsSlider ? fpsSlider.value : DEFAULT_SETTINGS.fps),
+    speedCurve,
+    gravity: gravityCPS,
+    sound: soundEnabled,
+    music: musicEnabled,
+    masterVolume: volumes.master,
+    sfxVolume: volumes.sfx,
+    musicVolume: volumes.music,
+    mode: gameMode,
+    attackTable,
+    cpuLevel,
+    duelGarbage,
+    hint: showHint,
+    demo: demoEnabled,
+    stats: showStats,
+    finesseDrill,
+    finesseKeys: finesseKeyHints,
+    playerName,
+    bindings,
+    previews: previewCount,
+    reducedMotion: reducedMotionSetting,
+    touchLayout,
+    touchSize,
+    haptics,
+    gestures: gesturesEnabled,
+    boardCols,
+    boardRows,
+    partialLockOut,
+    theme: themeKey,
+    customTheme,
+    puzzle: encodePuzzle(activePuzzle),
+    fumenAlign,
+    onlineServer,
+    announce: announceMode,
+    audioCues,
+    handling
+  };
+}
+
+function saveSettings() {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(currentSettings()));
+}
+
+/* put loaded settings into effect and into the panel's controls */
+function applySettings(settings) {
+  const fps = Math.max(15, Math.min(60, settings.fps));
+  performanceMode = settings.performanceMode;
+  targetFPS = performanceMode ? fps : 60;
+  minFrameTime = 1000 / targetFPS;
+  neonGlow = settings.glow && !performanceMode;
+  soundEnabled = settings.sound;
+  musicEnabled = settings.music;
+  setVolume("master", settings.masterVolume);
+  setVolume("sfx", settings.sfxVolume);
+  setVolume("music", settings.musicVolume);
+  speedCurve = settings.speedCurve === "fixed" || SPEED_CURVES[settings.speedCurve] ? settings.speedCurve : "guideline";
+  gravityCPS = Math.max(0.5, Math.min(20, settings.gravity));
+  gameMode = MODES[settings.mode] ? settings.mode : "endless";
+  attackTable = ATTACK_TABLES[settings.attackTable] ? settings.attackTable : "guideline";
+  cpuLevel = CPU_LEVELS[settings.cpuLevel] ? settings.cpuLevel : "medium";
+  duelGarbage = settings.duelGarbage;
+  showHint = settings.hint;
+  demoEnabled = settings.demo;
+  showStats = settings.stats;
+  finesseDrill = settings.finesseDrill === "free" ? "free" : "target";
+  finesseKeyHints = settings.finesseKeys;
+  reducedMotionSetting = settings.reducedMotion;
+  let custom = null;
+  try { custom = settings.customTheme && normalizeTheme(settings.customTheme); } catch (err) { custom = null; }
+  setTheme(settings.theme, custom);
+  let puzzle = null;
+  try { puzzle = settings.puzzle && decodePuzzle(settings.puzzle); } catch (err) { puzzle = null; }
+  setActivePuzzle(puzzle);
+  fumenAlign = [...TetrisFumen.ALIGNS, "resize"].includes(settings.fumenAlign) ? settings.fumenAlign : "left";
+  if (fumenAlignSelect) fumenAlignSelect.value = fumenAlign;
+  onlineServer = settings.onlineServer.trim();
+  announceMode = ANNOUNCE_MODES.includes(settings.announce) ? settings.announce : "all";
+  if (announceSelect) announceSelect.value = announceMode;
+  audioCues = settings.audioCues;
+  if (audioCuesToggle) audioCuesToggle.checked = audioCues;
+  playerName = settings.playerName.trim().slice(0, 16) || "Player";
+  bindings = normalizeBindings(settings.bindings);
+  inputToAction = buildInputMap(bindings);
+  game.configure({ mode: gameMode, speedCurve, fixedGravity: gravityCPS, attackTable });
+
+  if (perfToggle) perfToggle.checked = performanceMode;
+  if (glowToggle) glowToggle.checked = settings.glow;
+  if (fpsSlider) fpsSlider.value = String(fps);
+  if (soundToggle) soundToggle.checked = soundEnabled;
+  if (muteBtn) muteBtn.textContent = soundEnabled ? "Mute" : "Unmute";
+  if (musicToggle) musicToggle.checked = musicEnabled;
+  if (masterVolumeSlider) masterVolumeSlider.value = String(volumes.master);
+  if (sfxVolumeSlider) sfxVolumeSlider.value = String(volumes.sfx);
+  if (musicVolumeSlider) musicVolumeSlider.value = String(volumes.music);
+  if (speedCurveSelect) speedCurveSelect.value = speedCurve;
+  if (gravitySlider) gravitySlider.value = String(gravityCPS);
+  if (modeSelect) modeSelect.value = gameMode;
+  if (attackSelect) attackSelect.value = attackTable;
+  if (cpuLevelSelect) cpuLevelSelect.value = cpuLevel;
+  if (duelGarbageToggle) duelGarbageToggle.checked = duelGarbage;
+  if (hintToggle) hintToggle.checked = showHint;
+  if (demoToggle) demoToggle.checked = demoEnabled;
+  if (statsToggle) statsToggle.checked = showStats;
+  renderStats();
+  if (finesseDrillSelect) finesseDrillSelect.value = finesseDrill;
+  if (finesseKeysToggle) finesseKeysToggle.checked = finesseKeyHints;
+  renderTrainer();
+  if (reducedMotionToggle) reducedMotionToggle.checked = reducedMotionSetting;
+  if (playerNameInput) playerNameInput.value = playerName;
+  setPreviewCount(settings.previews);
+  setHandling(settings.handling);
+  setTouchOptions({ layout: settings.touchLayout, size: settings.touchSize, haptics: settings.haptics, gestures: settings.gestures });
+  setBoard({ cols: settings.boardCols, rows: settings.boardRows, partialLockOut: settings.partialLockOut });
+  renderBindings();
+  updateGravityLabel();
+}
+
+onIf(playerNameInput, "input", () => { playerName = playerNameInput.value.trim().slice(0, 16) || "Player"; });
+// every control in the panel has updated its state by the time this bubbles up
+onIf(settingsPanel, "change", saveSettings);
+
+/* ------------------------
+   Screens
+   title -> playing <-> paused, playing -> gameover -> playing or title.
+   The engines only step while "playing"; title and pause are drawn over
+   the board canvas, and pausing blanks the boards so a pause can't be used
+   to study the stack. Game over uses the results panel.
+---------------------------*/
+let screen = "title";
+
+function setScreen(next) {
+  if (screen === "playing" && next !== "playing") releaseAllInputs();
+  screen = next;
+  if (next === "paused") game.pause();
+  else if (next === "playing") game.resume();
+  if (next !== "gameover") hideResults();
+  if (pauseBtn) {
+    pauseBtn.textContent = next === "paused" ? "Resume" : "Pause";
+    pauseBtn.disabled = next !== "playing" && next !== "paused";
+  }
+}
+
+/* a fresh game, straight into play */
+function startGame(seed) {
+  if (onlineHoldsStart(seed)) return;
+  resetGame(seed);
+  setScreen("playing");
+  canvas.focus();
+  announceStart();
+}
+
+function showTitle() {
+  resetGame();
+  setScreen("title");
+}
+
+// an online match runs on for the opponent, so it never pauses
+function togglePause() {
+  if (screen === "playing" && !net.live) setScreen("paused");
+  else if (screen === "paused") setScreen("playing");
+}
+
+function pauseGame() {
+  if (screen === "playing" && !net.live) setScreen("paused");
+}
+
+document.addEventListener("visibilitychange", () => { if (document.hidden) pauseGame(); });
+// leaving the board pauses, except for the Pause button itself and replays
+onIf(canvas, "blur", e => {
+  if (e.relatedTarget !== pauseBtn && replay.mode !== "playback") pauseGame();
+});
+onIf(canvas, "click", () => {
+  if (screen === "title") startGame();
+  else if (screen === "paused") togglePause();
+});
+
+/* black out a board */
+function clearBoard(c) {
+  c.fillStyle = theme.background;
+  c.fillRect(0, 0, boardCols, boardRows);
+}
+
+/* centred title + lines over a board, drawn in CSS px */
+function drawOverlay(c, title, lines) {
+  const dpr = window.devicePixelRatio || 1;
+  const w = c.canvas.width / dpr, h = c.canvas.height / dpr;
+  c.save();
+  c.setTransform(dpr, 0, 0, dpr, 0, 0);
+  c.fillStyle = "rgba(0,0,0,0.6)";
+  c.fillRect(0, 0, w, h);
+  c.textAlign = "center";
+  c.textBaseline = "middle";
+  c.fillStyle = theme.ui.accent;
+  c.shadowColor = theme.ui.accent;
+  c.shadowBlur = neonGlow ? 12 : 0;
+  c.font = "bold 26px sans-serif";
+  c.fillText(title, w / 2, h / 2 - 24);
+  c.shadowBlur = 0;
+  c.fillStyle = withAlpha(theme.ui.text, 0.8);
+  c.font = "13px sans-serif";
+  lines.forEach((line, i) => c.fillText(line, w / 2, h / 2 + 10 + i * 20));
+  c.restore();
+}
+
+function drawScreenOverlay() {
+  const pauseKey = bindings.pause.length ? inputLabel(bindings.pause[0]) : "Enter";
+  if (screen === "title") {
+    drawOverlay(ctx, "NEON TETRIS", [MODES[gameMode].label, "Enter or click to play", `High score ${highscore}`]);
+  } else if (screen === "paused") {
+    drawOverlay(ctx, "PAUSED", [`${pauseKey} or Enter to resume`]);
+  }
+}
+
+/* ------------------------
+   Game loop: fixed-step physics (in the engine) + throttled render
+---------------------------*/
+const MAX_STEPS_PER_FRAME = 60 * 60; // bound on replay "step" fast-forwarding
+const MAX_FRAME_MS = 250; // don't try to catch up after long stalls
+let stepAccumulator = 0;
+
+/* one engine tick for every live board */
+function stepBoards() {
+  if (screen !== "playing") return;
+  const s = game.getState();
+  if (s.gameOver || s.paused) return;
+  game.step();
+  const rival = rivalGame();
+  if (rival && !rival.getState().gameOver) rival.step();
+}
+
+/* run as many fixed steps as fit in ms of real time */
+function advance(ms) {
+  stepAccumulator += Math.min(MAX_FRAME_MS, ms);
+  while (stepAccumulator >= TICK_MS) {
+    stepAccumulator -= TICK_MS;
+    stepBoards();
+  }
+}
+
+function update(time = 0) {
+  if (!lastTime) lastTime = time;
+  const delta = time - lastTime;
+  lastTime = time;
+
+  pollGamepads();
+  updateDemo(performance.now());
+
+  if (replay.mode === "playback") {
+    if (replay.stepTo > replay.cursor) {
+      // run up to and including the next recorded input
+      for (let i = 0; i < MAX_STEPS_PER_FRAME && replay.cursor < replay.stepTo && !game.getState().gameOver; ++i) stepBoards();
+      replay.stepTo = -1;
+    } else if (!replay.paused) {
+      advance(delta * replay.speed);
+    }
+    updateReplayBar();
+  } else {
+    advance(delta);
+  }
+
+  updateModeStatus();
+  updateMusic();
+  updateStats(performance.now());
+  updateOnline(performance.now());
+
+  // interp for smooth render: fraction progress to next cell
+  const interp = game.getState().dropProgress;
+
+  // rendering throttled by performanceMode targetFPS
+  if (performanceMode) {
+    if (time - lastRender >= minFrameTime) {
+      drawScene(interp);
+      lastRender = time;
+    }
+  } else {
+    drawScene(interp);
+  }
+
+  lastTime = time;
+  requestAnimationFrame(update);
+}
+
+/* ------------------------
+   Game control
+---------------------------*/
+/* seed from the settings field, or a fresh random one */
+function chosenSeed() {
+  return seedInput && seedInput.value.trim() ? parseSeed(seedInput.value) : randomSeed();
+}
+
+function resetGame(seed = chosenSeed()) {
+  replay.seed = seed;
+  replay.settings = gameplaySettings();
+  if (replay.mode === "record") replay.inputs = [];
+  replay.cursor = 0;
+  if (currentSeedEl) currentSeedEl.textContent = String(seed);
+  hideResults();
+  stepAccumulator = 0;
+  game.reset(seed);
+  resetVersus(seed);
+  resetDuel(seed);
+  renderControlsHint();
+  updateHud();
+  updateGravityLabel();
+  playSound('start');
+}
+
+/* engine events -> HUD, previews and sound */
+game.on("spawn", () => { drawNext(); drawHold(); });
+game.on("move", () => playSound('move'));
+game.on("rotate", () => playSound('rotate'));
+game.on("hardDrop", () => playSound('hard'));
+game.on("hold", () => { playSound('hold'); drawHold(); });
+game.on("lock", e => {
+  if (!e.cleared) playSound('lock');
+  if (e.name) showActionLabel(e.combo > 0 ? `${e.name} • ${e.combo} REN` : e.name);
+  updateHud();
+});
+game.on("clear", e => playSound('clear', e));
+game.on("levelUp", () => { playSound('levelUp'); updateGravityLabel(); });
+game.on("gameOver", summary => {
+  playSound('gameOver');
+  updateModeStatus();
+  if (demoPlayer) return; // the demo just starts over
+  setScreen("gameover");
+  // replays show their result but never count towards personal bests
+  const counts = replay.mode !== "playback";
+  const newBest = counts && recordBest(summary);
+  const rank = counts ? recordLeaderboard(summary) : 0;
+  showResults(summary, newBest, rank);
+  if (resultsTitle) announce(`${resultsTitle.textContent}, ${resultsMain.textContent}`);
+});
+
+/* ------------------------
+   Initialization
+---------------------------*/
+function init() {
+  applySettings(loadSettings());
+  loadPuzzleFromHash();
+  resumeOnlineSession();
+  // seed, queue fill & spawn; play starts from the title screen
+  showTitle();
   lastTime = performance.now();
   lastRender = lastTime;
   requestAnimationFrame(update);
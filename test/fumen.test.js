@@ -0,0 +1,147 @@
+"use strict";
+/* fumen v115 round trips against strings made by the reference encoder
+   (knewjade's tetris-fumen): decode, check the boards, encode back. */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { GARBAGE_ID } = require("../game-core.js");
+const { FUMEN_ROWS, decode, encode, parseQuiz, pageToSetup } = require("../fumen.js");
+
+const EMPTY = "v115@vhAAgH";
+// rows from the bottom: "ILOZTJS_XX", "XXXXX_XXXX"; garbage row "XXXXXXXX_X"
+const GARBAGE = "v115@RhE8AeD8whglQpAtwwg0Q4AeJ8AeA8AgH";
+// three pages on "XXX____XXX" / "XX______XX": T spawn at (4, 2) with comment
+// "#Q=[](T)SZ", S right at (1, 3), Z reverse at (6, 3) with comment "done"
+const QUIZ = "v115@RhB8FeE8DeC8JeVGYWAFLDmClcJSAVDEHBEooRBUoA?VBzXBAAvhBPgBEiQEAkXprD";
+
+/* a 10-wide row from a fumen-style string: I L O Z T J S, X = garbage, _ = empty */
+const IDS = { _: 0, I: 1, O: 2, T: 3, S: 4, Z: 5, J: 6, L: 7, X: GARBAGE_ID };
+const row = text => text.split("").map(c => IDS[c]);
+
+/* the bottom rows of a field, bottom last, as text */
+function bottom(field, count) {
+  const letters = Object.keys(IDS);
+  return field.slice(-count).map(r => r.map(v => letters[Object.values(IDS).indexOf(v)]).join(""));
+}
+
+test("an empty field", () => {
+  const pages = decode(EMPTY);
+  assert.equal(pages.length, 1);
+  const [page] = pages;
+  assert.equal(page.field.length, FUMEN_ROWS);
+  assert.ok(page.field.every(r => r.length === 10 && r.every(v => v === 0)));
+  assert.deepEqual(page.garbage, new Array(10).fill(0));
+  assert.equal(page.piece, null);
+  assert.equal(page.comment, "");
+  assert.equal(encode(pages), EMPTY);
+});
+
+test("a field with every block and a garbage row", () => {
+  const pages = decode(GARBAGE);
+  assert.equal(pages.length, 1);
+  const [page] = pages;
+  assert.deepEqual(page.field[FUMEN_ROWS - 1], row("ILOZTJS_XX"));
+  assert.deepEqual(page.field[FUMEN_ROWS - 2], row("XXXXX_XXXX"));
+  assert.ok(page.field.slice(0, FUMEN_ROWS - 2).every(r => r.every(v => v === 0)));
+  assert.deepEqual(page.garbage, row("XXXXXXXX_X"));
+  assert.equal(page.piece, null);
+  assert.equal(encode(pages), GARBAGE);
+});
+
+test("pages with pieces, locks and a quiz comment", () => {
+  const pages = decode(QUIZ);
+  assert.equal(pages.length, 3);
+  assert.deepEqual(pages.map(p => p.piece), [
+    { type: "T", rotation: 0, x: 4, y: 2 },
+    { type: "S", rotation: 1, x: 1, y: 3 },
+    { type: "Z", rotation: 2, x: 6, y: 3 }
+  ]);
+  assert.ok(pages.every(p => p.flags.lock));
+  assert.equal(pages[0].comment, "#Q=[](T)SZ");
+  assert.equal(pages[2].comment, "done");
+  assert.deepEqual(parseQuiz(pages[0].comment), { hold: null, queue: ["T", "S", "Z"] });
+
+  // each page's field is the one before it with that page's piece locked
+  assert.deepEqual(bottom(pages[0].field, 3), ["__________", "XX______XX", "XXX____XXX"]);
+  assert.deepEqual(bottom(pages[1].field, 4), ["____T_____", "___TTT____", "XX______XX", "XXX____XXX"]);
+  assert.deepEqual(bottom(pages[2].field, 5), ["_S________", "_SS_T_____", "__STTT____", "XX______XX", "XXX____XXX"]);
+
+  assert.equal(encode(pages), QUIZ);
+});
+
+// one piece in all four states (spawn, R, 180, L) per string, from the reference encoder:
+// these pin fumen's rotation numbering and the position shifts of O, I, S and Z
+const ROTATIONS = [
+  { code: "v115@vhDTJJrqBjrB7sB", type: "O", at: [[0, 0], [3, 1], [6, 1], [8, 0]] },
+  { code: "v115@vhDxOJJmBBsB5oB", type: "I", at: [[1, 0], [4, 2], [7, 1], [9, 1]] },
+  { code: "v115@vhD3JJPrBHsB/tB", type: "S", at: [[1, 0], [3, 1], [6, 1], [9, 1]] },
+  { code: "v115@vhD0EJsqBEsBctB", type: "Z", at: [[1, 1], [3, 1], [6, 1], [9, 1]] }
+];
+
+test("every rotation of O, I, S and Z matches the reference strings", () => {
+  for (const { code, type, at } of ROTATIONS) {
+    const pages = decode(code);
+    assert.deepEqual(pages.map(p => p.piece), at.map(([x, y], rotation) => ({ type, rotation, x, y })), type);
+    assert.equal(encode(pages), code, type);
+  }
+});
+
+test("a quiz page sets up a puzzle", () => {
+  const setup = pageToSetup(decode(QUIZ), 0);
+  assert.equal(setup.hold, null);
+  assert.deepEqual(setup.queue, ["T", "S", "Z"]);
+  assert.deepEqual(setup.board[setup.board.length - 1], row("XXX____XXX"));
+});
+
+test("a later page's quiz has the pieces placed before it taken off", () => {
+  const pages = decode(QUIZ);
+  const setup = pageToSetup(pages, 1);
+  assert.equal(setup.hold, null);
+  assert.deepEqual(setup.queue, ["S", "Z"]);
+  assert.equal(setup.title, "");
+  assert.deepEqual(setup.board.slice(-4).map(r => r.map(v => (v ? "X" : "_")).join("")),
+    ["____X_____", "___XXX____", "XX______XX", "XXX____XXX"]);
+  // page 3 swaps the quiz for a plain comment: the queue is that page's piece
+  const last = pageToSetup(pages, 2);
+  assert.deepEqual([last.queue, last.hold, last.title], [["Z"], null, "done"]);
+
+  // placing the held piece swaps, placing the next one with hold empty stocks the current
+  const field = Array.from({ length: FUMEN_ROWS }, () => new Array(10).fill(0));
+  const garbage = new Array(10).fill(0);
+  const at = (type, y) => ({ type, rotation: 0, x: 4, y });
+  const held = decode(encode([
+    { field, garbage, piece: at("J", 0), comment: "#Q=[J](T)SZO" },
+    { piece: at("T", 3) },
+    { piece: at("O", 6) },
+    { piece: at("Z", 9) }
+  ]));
+  const quizzes = held.map((_, i) => pageToSetup(held, i)).map(({ hold, queue }) => ({ hold, queue }));
+  assert.deepEqual(quizzes, [
+    { hold: "J", queue: ["T", "S", "Z", "O"] },
+    { hold: "T", queue: ["S", "Z", "O"] },
+    { hold: "S", queue: ["Z", "O"] },
+    // O was not on offer, so fumen leaves the quiz as it was
+    { hold: "S", queue: ["Z", "O"] }
+  ]);
+  const stocked = decode(encode([{ field, garbage, piece: at("S", 0), comment: "#Q=[](T)SZ" }, { piece: at("T", 3) }]));
+  const stock = pageToSetup(stocked, 1);
+  assert.deepEqual([stock.hold, stock.queue], ["T", ["Z"]]);
+});
+
+test("hand-built pages encode to the reference strings", () => {
+  const field = Array.from({ length: FUMEN_ROWS }, () => new Array(10).fill(0));
+  field[FUMEN_ROWS - 2] = row("XX______XX");
+  field[FUMEN_ROWS - 1] = row("XXX____XXX");
+  const garbage = new Array(10).fill(0);
+  assert.equal(encode([{ field, garbage }]), "v115@RhB8FeE8DeC8JeAgH");
+  // later pages carry the field (after the lock) and the comment on
+  assert.equal(encode([
+    { field, garbage, piece: { type: "T", rotation: 0, x: 4, y: 2 }, comment: "#Q=[](T)SZ" },
+    { piece: { type: "S", rotation: 1, x: 1, y: 3 } },
+    { piece: { type: "Z", rotation: 2, x: 6, y: 3 }, comment: "done" }
+  ]), QUIZ);
+});
+
+test("strings that aren't v115 are refused", () => {
+  assert.throws(() => decode("v110@vhAAgH"), /v115/);
+  assert.throws(() => decode(""), /v115/);
+});
@@ -0,0 +1,229 @@
+"use strict";
+/* Engine rules through createGame: collision, line clears, hold, lock delay
+   and game over. Puzzle mode sets up exact boards and piece sequences. */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { GARBAGE_ID, TICK_MS, collide, createGame } = require("../game-core.js");
+
+const G = GARBAGE_ID;
+const row = (gaps = []) => Array.from({ length: 10 }, (_, x) => (gaps.includes(x) ? 0 : G));
+
+/* a puzzle game: board rows sit on the floor, pieces come in queue order */
+function puzzleGame(board, queue, options = {}) {
+  return createGame(Object.assign({ mode: "puzzle", seed: 1, puzzle: { board, queue, goal: { type: "lines", lines: 99 } } }, options));
+}
+
+/* x of the piece's leftmost filled cell */
+function leftEdge(player) {
+  return player.pos.x + Math.min(...player.matrix.map(r => r.findIndex(v => v)).filter(x => x >= 0));
+}
+
+function visibleRows(game) {
+  const { arena, buffer } = game.getState();
+  return arena.slice(buffer);
+}
+
+test("collide: walls, floor and filled cells block, rows above the arena are open", () => {
+  const arena = Array.from({ length: 4 }, () => new Array(4).fill(0));
+  arena[3][1] = G;
+  const dot = [[1]];
+  assert.equal(collide(arena, 0, 0, dot), false);
+  assert.equal(collide(arena, -1, 0, dot), true);
+  assert.equal(collide(arena, 4, 0, dot), true);
+  assert.equal(collide(arena, 0, 4, dot), true);
+  assert.equal(collide(arena, 1, 3, dot), true);
+  assert.equal(collide(arena, 1, -3, dot), false);
+  // empty matrix cells never collide
+  assert.equal(collide(arena, -1, 0, [[0, 1]]), false);
+});
+
+test("pieces stop at the walls and land on the stack", () => {
+  const game = puzzleGame([row([0, 1, 2, 3, 4, 5, 6, 7, 8])], ["O", "O"]);
+  for (let i = 0; i < 10; ++i) game.input("left");
+  assert.equal(leftEdge(game.getState().player), 0);
+  for (let i = 0; i < 12; ++i) game.input("right");
+  assert.equal(leftEdge(game.getState().player), 8);
+  const locks = [];
+  game.on("lock", e => locks.push(e));
+  game.input("hard");
+  // the garbage cell under column 9 holds the O a row above the floor
+  assert.equal(locks.length, 1);
+  const rows = visibleRows(game);
+  assert.deepEqual(rows[19].slice(8), [0, G]);
+  assert.deepEqual(rows[18].slice(8), [2, 2]);
+  assert.deepEqual(rows[17].slice(8), [2, 2]);
+});
+
+test("a full row clears and everything above it falls", () => {
+  const lone = [G, 0, 0, 0, 0, 0, 0, 0, 0, 0];
+  const game = puzzleGame([lone, row([3, 4, 5, 6])], ["I"]);
+  const locks = [];
+  game.on("lock", e => locks.push(e));
+  game.input("hard");
+  assert.equal(locks[0].cleared, 1);
+  assert.equal(locks[0].name, "SINGLE");
+  const state = game.getState();
+  assert.equal(state.lines, 1);
+  assert.equal(locks[0].points, 100);
+  const rows = visibleRows(game);
+  assert.deepEqual(rows[19], lone);
+  assert.deepEqual(rows[18], new Array(10).fill(0));
+});
+
+test("four rows at once are a tetris, and an empty board after is a perfect clear", () => {
+  const game = puzzleGame([row([9]), row([9]), row([9]), row([9])], ["I", "O"]);
+  const locks = [];
+  game.on("lock", e => locks.push(e));
+  game.input("cw");
+  for (let i = 0; i < 5; ++i) game.input("right");
+  game.input("hard");
+  assert.equal(locks[0].cleared, 4);
+  assert.equal(locks[0].perfectClear, true);
+  assert.equal(locks[0].name, "TETRIS PERFECT CLEAR");
+  assert.ok(visibleRows(game).every(r => r.every(v => v === 0)));
+});
+
+test("hold: swaps with the queue, then the held piece, once per piece", () => {
+  const game = createGame({ seed: 7 });
+  const first = game.getState().player.type;
+  const next = game.getState().queue[0];
+  game.input("hold");
+  let state = game.getState();
+  assert.equal(state.hold, first);
+  assert.equal(state.player.type, next);
+  assert.equal(state.holdUsed, true);
+
+  // a second hold before locking does nothing
+  game.input("hold");
+  state = game.getState();
+  assert.equal(state.hold, first);
+  assert.equal(state.player.type, next);
+
+  // locking frees hold again, and it now swaps with the held piece
+  game.input("hard");
+  const current = game.getState().player.type;
+  assert.equal(game.getState().holdUsed, false);
+  game.input("hold");
+  state = game.getState();
+  assert.equal(state.player.type, first);
+  assert.equal(state.hold, current);
+});
+
+/* instant soft drop to the floor, then the number of steps until it locks */
+function stepsToLock(game, each) {
+  let locked = false;
+  game.on("lock", () => { locked = true; });
+  game.input("soft", true);
+  game.step();
+  game.input("soft", false);
+  let steps = 1;
+  while (!locked && steps < 600) {
+    if (each) each(steps);
+    game.step();
+    steps++;
+  }
+  return steps;
+}
+
+test("lock delay: a grounded piece locks after lockDelay ms", () => {
+  const game = createGame({ seed: 3, handling: { softDrop: 0, lockDelay: 500 } });
+  const steps = stepsToLock(game);
+  assert.equal(steps, Math.ceil(500 / TICK_MS));
+});
+
+test("lock delay: moving on the ground restarts it, up to moveResets times", () => {
+  const delay = Math.ceil(500 / TICK_MS);
+  const moves = [];
+  // a move every 20 steps, alternating so the piece never runs into a wall
+  const wiggle = game => steps => {
+    if (steps % 20 === 0) {
+      moves.push(steps);
+      game.input(moves.length % 2 ? "left" : "right");
+    }
+  };
+  const free = createGame({ seed: 3, handling: { softDrop: 0, lockDelay: 500, moveResets: 15 } });
+  moves.length = 0;
+  // 15 resets: the last one at step 300, which then runs out its full delay
+  assert.equal(stepsToLock(free, wiggle(free)), 15 * 20 + delay);
+
+  const capped = createGame({ seed: 3, handling: { softDrop: 0, lockDelay: 500, moveResets: 2 } });
+  moves.length = 0;
+  assert.equal(stepsToLock(capped, wiggle(capped)), 2 * 20 + delay);
+});
+
+test("lock delay: kicks that lift the piece off the floor do not restart it", () => {
+  // a T spun on the floor hops up a row on one turn and drops back on the next
+  const game = puzzleGame([], ["T", "O"], { handling: { softDrop: 0, lockDelay: 500, moveResets: 15 } });
+  const locks = [];
+  game.on("lock", e => locks.push([e.type, game.getState().lockResets]));
+  let turns = 0;
+  const steps = stepsToLock(game, steps => {
+    if (steps % 10 === 0) game.input(turns++ % 2 ? "ccw" : "cw");
+  });
+  assert.ok(steps < 600, `still in play after ${steps} steps`);
+  assert.deepEqual(locks, [["T", 15]]);
+});
+
+test("game over: lock out above the visible field", () => {
+  const board = Array.from({ length: 20 }, () => row([0]));
+  const game = puzzleGame(board, ["O", "O"]);
+  const over = [];
+  game.on("gameOver", e => over.push(e));
+  game.input("hard");
+  assert.equal(over.length, 1);
+  assert.equal(over[0].reason, "lockout");
+  assert.equal(over[0].won, false);
+  assert.equal(game.getState().gameOver, true);
+});
+
+test("game over: block out when a new piece overlaps the stack", () => {
+  // a vertical I in the well at column 5 pokes two cells into the spawn area
+  const board = [row([5, 9]), row([5, 9]), ...Array.from({ length: 18 }, () => row([9]))];
+  const game = puzzleGame(board, ["I", "O"]);
+  const over = [];
+  game.on("gameOver", e => over.push(e));
+  game.input("cw");
+  game.input("hard");
+  assert.equal(over.length, 1);
+  assert.equal(over[0].reason, "blockout");
+});
+
+test("game over: garbage pushing the stack off the top", () => {
+  const game = createGame({ seed: 5, buffer: 2, rows: 4 });
+  const over = [];
+  game.on("gameOver", e => over.push(e));
+  game.receiveGarbage(8);
+  game.input("hard");
+  assert.equal(over.length, 1);
+  assert.equal(over[0].reason, "topout");
+});
+
+test("game over: nothing moves once the game has ended", () => {
+  const game = puzzleGame(Array.from({ length: 20 }, () => row([0])), ["O", "O"]);
+  game.input("hard");
+  const before = JSON.stringify(game.getState());
+  for (const action of ["left", "right", "cw", "hold", "hard"]) game.input(action);
+  game.tick(1000);
+  assert.equal(JSON.stringify(game.getState()), before);
+});
+
+test("puzzle undo: a piece swapped out by IHS is not an undo step", () => {
+  const game = puzzleGame([], ["T", "I", "O", "L"], { handling: { ihs: true } });
+  game.input("hold", true); // T into hold, I in play
+  game.input("hard"); // I locks; the held key swaps the O for the T as it spawns
+  game.input("hold", false);
+  let state = game.getState();
+  assert.equal(state.player.type, "T");
+  assert.equal(state.hold, "O");
+
+  // one undo goes back to the I, the next to the start
+  assert.equal(game.undo(), true);
+  state = game.getState();
+  assert.equal(state.player.type, "I");
+  assert.equal(state.hold, "T");
+  assert.equal(game.undo(), true);
+  state = game.getState();
+  assert.equal(state.player.type, "T");
+  assert.equal(state.hold, null);
+  assert.equal(game.undo(), false);
+});
@@ -0,0 +1,340 @@
+"use strict";
+/* The online protocol (PROTOCOL.md) end to end on localhost: a relay on an
+   ephemeral port and raw WebSocket clients playing a whole match. */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+const { PROTOCOL_VERSION, createRelay } = require("../relay.js");
+
+const RULES = { curve: "guideline", gravity: 1, attack: "guideline", board: { cols: 10, rows: 20, partialLockOut: false } };
+
+/* a masked client frame */
+function frame(opcode, payload, { mask = true, fin = true } = {}) {
+  const length = payload.length;
+  const head = length < 126 ? [length] : [126, length >> 8, length & 0xff];
+  const key = mask ? crypto.randomBytes(4) : Buffer.alloc(0);
+  const body = Buffer.from(payload);
+  if (mask) for (let i = 0; i < body.length; ++i) body[i] ^= key[i & 3];
+  return Buffer.concat([Buffer.from([(fin ? 0x80 : 0) | opcode, (mask ? 0x80 : 0) | head[0], ...head.slice(1)]), key, body]);
+}
+
+/* a WebSocket client: JSON messages queue up until a test takes them */
+function connect(port) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      port, host: "127.0.0.1", path: "/ws",
+      headers: { Connection: "Upgrade", Upgrade: "websocket", "Sec-WebSocket-Version": "13", "Sec-WebSocket-Key": crypto.randomBytes(16).toString("base64") }
+    });
+    req.on("error", reject);
+    req.on("upgrade", (res, socket) => {
+      const queue = [];
+      let waiting = null;
+      let buffer = Buffer.alloc(0);
+      let closeCode = null;
+      const closed = new Promise(done => socket.on("close", () => done(closeCode)));
+
+      function deliver() {
+        if (!waiting) return;
+        const index = queue.findIndex(m => m.type === waiting.type);
+        if (index < 0) return;
+        const [msg] = queue.splice(index, 1);
+        const { resolve: done } = waiting;
+        waiting = null;
+        done(msg);
+      }
+
+      socket.on("data", chunk => {
+        buffer = Buffer.concat([buffer, chunk]);
+        while (buffer.length >= 2) {
+          let length = buffer[1] & 0x7f, offset = 2;
+          if (length === 126) { length = buffer.readUInt16BE(2); offset = 4; }
+          if (buffer.length < offset + length) break;
+          const opcode = buffer[0] & 0x0f;
+          const payload = buffer.subarray(offset, offset + length);
+          buffer = buffer.subarray(offset + length);
+          if (opcode === 0x1) queue.push(JSON.parse(payload.toString("utf8")));
+          else if (opcode === 0x8) closeCode = payload.length >= 2 ? payload.readUInt16BE(0) : null;
+          else if (opcode === 0x9) socket.write(frame(0xa, payload));
+        }
+        deliver();
+      });
+
+      const client = {
+        queue,
+        closed,
+        send(msg) { client.raw(frame(0x1, typeof msg === "string" ? msg : JSON.stringify(msg))); },
+        raw(bytes) { socket.write(bytes); },
+        /* the next message of a type, waiting for it if need be */
+        next(type, ms = 2000) {
+          return new Promise((done, fail) => {
+            const timer = setTimeout(() => { waiting = null; fail(new Error(`no "${type}" message`)); }, ms);
+            waiting = { type, resolve: msg => { clearTimeout(timer); done(msg); } };
+            deliver();
+          });
+        },
+        /* everything sent before now has been handled by the relay */
+        async sync() {
+          client.send("sync?");
+          const error = await client.next("error");
+          assert.equal(error.code, "bad-message");
+        },
+        count(type) { return queue.filter(m => m.type === type).length; },
+        /* the lobby as it stands once the relay has caught up */
+        async lobby() {
+          await client.sync();
+          const lobbies = queue.filter(m => m.type === "lobby");
+          assert.ok(lobbies.length, "no lobby update");
+          queue.splice(0, queue.length, ...queue.filter(m => m.type !== "lobby"));
+          return lobbies[lobbies.length - 1];
+        },
+        close() {
+          if (!socket.destroyed) client.raw(frame(0x8, Buffer.alloc(0)));
+          return closed;
+        },
+        /* give up the seat too, so the relay holds nothing for a resume */
+        leave() {
+          if (!socket.destroyed) client.send({ type: "leave" });
+          return client.close();
+        },
+        drop() { socket.destroy(); return closed; }
+      };
+      resolve(client);
+    });
+    req.end();
+  });
+}
+
+/* a relay on an ephemeral port; every client leaves and the server closes afterwards */
+async function withRelay(fn) {
+  const server = createRelay();
+  await new Promise(done => server.listen(0, "127.0.0.1", done));
+  const clients = [];
+  const open = async () => { const c = await connect(server.address().port); clients.push(c); return c; };
+  try {
+    await fn(open);
+  } finally {
+    await Promise.all(clients.map(c => c.leave()));
+    await new Promise(done => server.close(done));
+  }
+}
+
+/* two players in one room, both ready: returns them after "start" */
+async function match(open) {
+  const a = await open(), b = await open();
+  a.send({ type: "create", v: PROTOCOL_VERSION, name: "Ann", rules: RULES });
+  const created = await a.next("joined");
+  b.send({ type: "join", v: PROTOCOL_VERSION, room: created.room.toLowerCase(), name: "  Bo  " });
+  const joined = await b.next("joined");
+  a.send({ type: "ready", ready: true });
+  b.send({ type: "ready", ready: true });
+  const [startA, startB] = await Promise.all([a.next("start"), b.next("start")]);
+  await Promise.all([a.lobby(), b.lobby()]);
+  a.queue.length = 0;
+  b.queue.length = 0;
+  return { a, b, created, joined, startA, startB };
+}
+
+test("create, join, ready and start", () => withRelay(async open => {
+  const a = await open(), b = await open();
+  a.send({ type: "create", v: PROTOCOL_VERSION, name: "Ann", rules: RULES });
+  const created = await a.next("joined");
+  assert.match(created.room, /^[A-HJ-NP-Z]{4}$/);
+  assert.equal(created.seat, 0);
+  assert.match(created.token, /^[0-9a-f]{32}$/);
+  assert.deepEqual(created.rules, RULES);
+  assert.equal(created.playing, false);
+  assert.deepEqual((await a.next("lobby")).players, [{ name: "Ann", ready: false, connected: true }, null]);
+
+  b.send({ type: "join", v: PROTOCOL_VERSION, room: created.room, name: "  Bo the seventeenth  " });
+  const joined = await b.next("joined");
+  assert.equal(joined.seat, 1);
+  assert.deepEqual(joined.rules, RULES);
+  assert.notEqual(joined.token, created.token);
+  const lobby = await a.next("lobby");
+  assert.deepEqual(lobby.players.map(p => p.name), ["Ann", "Bo the seventeen"]);
+
+  a.send({ type: "ready", ready: true });
+  await a.sync();
+  assert.deepEqual((await b.lobby()).players.map(p => p.ready), [true, false]);
+  // un-readying and readying again still starts
+  b.send({ type: "ready", ready: false });
+  b.send({ type: "ready", ready: true });
+  const [startA, startB] = await Promise.all([a.next("start"), b.next("start")]);
+  assert.equal(startA.seed, startB.seed);
+  assert.ok(Number.isInteger(startA.seed) && startA.seed >= 0 && startA.seed < 2 ** 32);
+  assert.deepEqual(startA.rules, RULES);
+  // ready flags reset once the match is on
+  const after = await a.lobby();
+  assert.equal(after.playing, true);
+  assert.deepEqual(after.players.map(p => p.ready), [false, false]);
+}));
+
+test("attacks and boards go to the opponent, game over ends the match", () => withRelay(async open => {
+  const { a, b } = await match(open);
+  a.send({ type: "attack", lines: 4 });
+  assert.deepEqual(await b.next("attack"), { type: "attack", lines: 4 });
+  b.send({ type: "attack", lines: 99.7 });
+  assert.equal((await a.next("attack")).lines, 30);
+
+  const board = { type: "board", cols: 10, rows: 20, cells: "0".repeat(190) + "8888888880", lines: 3, sent: 4, pending: 0 };
+  a.send(board);
+  assert.deepEqual(await b.next("board"), board);
+
+  b.send({ type: "over" });
+  assert.deepEqual(await a.next("over"), { type: "over", reason: "topout" });
+  await b.sync();
+  assert.equal(b.count("over"), 0);
+  assert.equal((await a.lobby()).playing, false);
+
+  // a new match needs both ready again
+  a.send({ type: "ready", ready: true });
+  b.send({ type: "ready", ready: true });
+  await Promise.all([a.next("start"), b.next("start")]);
+}));
+
+test("messages that only mean something in a match are ignored outside one", () => withRelay(async open => {
+  const a = await open(), b = await open();
+  a.send({ type: "create", v: PROTOCOL_VERSION, name: "Ann", rules: RULES });
+  const { room } = await a.next("joined");
+  b.send({ type: "join", v: PROTOCOL_VERSION, room, name: "Bo" });
+  await b.next("joined");
+  a.send({ type: "attack", lines: 4 });
+  a.send({ type: "board", cols: 10, rows: 20, cells: "", lines: 0, sent: 0, pending: 0 });
+  a.send({ type: "over" });
+  await a.sync();
+  await b.sync();
+  assert.equal(b.count("attack") + b.count("board") + b.count("over"), 0);
+
+  // and "ready" is ignored during one
+  a.send({ type: "ready", ready: true });
+  b.send({ type: "ready", ready: true });
+  await Promise.all([a.next("start"), b.next("start")]);
+  a.queue.length = 0;
+  a.send({ type: "ready", ready: true });
+  await a.sync();
+  assert.equal(a.count("lobby") + a.count("start"), 0);
+  // attacks of no lines are dropped too
+  a.send({ type: "attack", lines: 0 });
+  a.send({ type: "attack", lines: "lots" });
+  await a.sync();
+  await b.sync();
+  assert.equal(b.count("attack"), 0);
+}));
+
+test("malformed and out-of-order messages are refused with errors", () => withRelay(async open => {
+  const a = await open(), b = await open(), c = await open();
+  const error = async (client, msg) => { client.send(msg); return (await client.next("error")).code; };
+
+  assert.equal(await error(a, "not json"), "bad-message");
+  assert.equal(await error(a, JSON.stringify([1, 2])), "bad-message");
+  assert.equal(await error(a, { kind: "create" }), "bad-message");
+  // before sitting down
+  for (const type of ["ready", "attack", "board", "over", "leave"]) assert.equal(await error(a, { type }), "no-room");
+  // protocol version on every way in
+  assert.equal(await error(a, { type: "create", name: "Ann" }), "version");
+  assert.equal(await error(a, { type: "join", v: 2, room: "ABCD" }), "version");
+  assert.equal(await error(a, { type: "resume", v: "1", room: "ABCD", token: "x" }), "version");
+
+  assert.equal(await error(a, { type: "join", v: PROTOCOL_VERSION, room: "QQQQ", name: "Ann" }), "no-room");
+  a.send({ type: "create", v: PROTOCOL_VERSION, name: "Ann", rules: RULES });
+  const { room, token } = await a.next("joined");
+  assert.equal(await error(a, { type: "create", v: PROTOCOL_VERSION, name: "Ann" }), "in-room");
+  assert.equal(await error(a, { type: "join", v: PROTOCOL_VERSION, room, name: "Ann" }), "in-room");
+  b.send({ type: "join", v: PROTOCOL_VERSION, room, name: "Bo" });
+  await b.next("joined");
+  assert.equal(await error(a, { type: "dance" }), "bad-message");
+  assert.equal(await error(c, { type: "join", v: PROTOCOL_VERSION, room, name: "Cy" }), "room-full");
+  assert.equal(await error(c, { type: "resume", v: PROTOCOL_VERSION, room, token: "0".repeat(32) }), "no-seat");
+  assert.equal(await error(c, { type: "resume", v: PROTOCOL_VERSION, room: "QQQQ", token }), "no-seat");
+}));
+
+test("oversized messages and unmasked frames close the socket", () => withRelay(async open => {
+  const big = await open();
+  big.send(JSON.stringify({ type: "board", cells: "0".repeat(17 * 1024) }));
+  assert.equal(await big.closed, 1009);
+
+  // 16 KiB split over fragments is still too much
+  const split = await open();
+  const half = Buffer.alloc(9 * 1024, 0x20);
+  split.raw(frame(0x1, half, { fin: false }));
+  split.raw(frame(0x0, half));
+  assert.equal(await split.closed, 1009);
+
+  const bare = await open();
+  bare.raw(frame(0x1, JSON.stringify({ type: "create" }), { mask: false }));
+  assert.equal(await bare.closed, 1002);
+}));
+
+test("a dropped player resumes their seat and catches up", () => withRelay(async open => {
+  const { a, b, joined } = await match(open);
+  await b.drop();
+  assert.deepEqual((await a.next("lobby")).players.map(p => p.connected), [true, false]);
+
+  // messages for the missing seat wait for it, boards only the latest
+  a.send({ type: "attack", lines: 2 });
+  a.send({ type: "board", cols: 10, rows: 20, cells: "1", lines: 0, sent: 2, pending: 0 });
+  a.send({ type: "attack", lines: 3 });
+  a.send({ type: "board", cols: 10, rows: 20, cells: "2", lines: 0, sent: 5, pending: 0 });
+  await a.sync();
+
+  const back = await open();
+  back.send({ type: "resume", v: PROTOCOL_VERSION, room: joined.room, token: joined.token });
+  const rejoined = await back.next("joined");
+  assert.equal(rejoined.seat, 1);
+  assert.equal(rejoined.playing, true);
+  assert.deepEqual([(await back.next("attack")).lines, (await back.next("attack")).lines], [2, 3]);
+  assert.equal((await back.next("board")).cells, "2");
+  await back.sync();
+  assert.equal(back.count("board"), 0);
+  assert.deepEqual((await a.lobby()).players.map(p => p.connected), [true, true]);
+
+  // the match carries on both ways
+  back.send({ type: "attack", lines: 1 });
+  assert.equal((await a.next("attack")).lines, 1);
+
+  // a second resume of the same seat takes it over from the old socket
+  const again = await open();
+  again.send({ type: "resume", v: PROTOCOL_VERSION, room: joined.room, token: joined.token });
+  await again.next("joined");
+  assert.equal(await back.closed, 4000);
+}));
+
+test("leaving mid-match gives the opponent the win and frees the seat", () => withRelay(async open => {
+  const { a, b, created } = await match(open);
+  b.send({ type: "leave" });
+  assert.deepEqual(await a.next("over"), { type: "over", reason: "left" });
+  const lobby = await a.lobby();
+  assert.equal(lobby.playing, false);
+  assert.deepEqual(lobby.players, [{ name: "Ann", ready: false, connected: true }, null]);
+
+  // the same socket can sit down again
+  b.send({ type: "join", v: PROTOCOL_VERSION, room: created.room, name: "Bo" });
+  assert.equal((await b.next("joined")).seat, 1);
+  // once both leave the room is gone
+  a.send({ type: "leave" });
+  b.send({ type: "leave" });
+  await b.sync();
+  const c = await open();
+  c.send({ type: "join", v: PROTOCOL_VERSION, room: created.room, name: "Cy" });
+  assert.equal((await c.next("error")).code, "no-room");
+}));
+
+test("a seat held past 30 s is freed and the opponent wins", () => withRelay(async open => {
+  const { a, b, joined } = await match(open);
+  test.mock.timers.enable({ apis: ["setTimeout"] });
+  try {
+    await b.drop();
+    await a.next("lobby");
+    test.mock.timers.tick(29999);
+    await a.sync();
+    assert.equal(a.count("over"), 0);
+    test.mock.timers.tick(1);
+    assert.deepEqual(await a.next("over"), { type: "over", reason: "left" });
+  } finally {
+    test.mock.timers.reset();
+  }
+  const late = await open();
+  late.send({ type: "resume", v: PROTOCOL_VERSION, room: joined.room, token: joined.token });
+  assert.equal((await late.next("error")).code, "no-seat");
+}));
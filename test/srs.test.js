@@ -0,0 +1,127 @@
+"use strict";
+/* SRS wall kicks against the reference tables (x right, y up; states
+   0 = spawn, R, 2, L). Each kick is checked in getKicks and in play: a board
+   where only that kick fits must take the piece exactly there. */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { GARBAGE_ID, createGame, getKicks, rotateMatrix } = require("../game-core.js");
+
+const STATES = { 0: 0, R: 1, 2: 2, L: 3 };
+
+const JLSTZ = {
+  "0>R": [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+  "R>0": [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+  "R>2": [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+  "2>R": [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+  "2>L": [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]],
+  "L>2": [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+  "L>0": [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+  "0>L": [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]]
+};
+
+const I = {
+  "0>R": [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+  "R>0": [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+  "R>2": [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]],
+  "2>R": [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+  "2>L": [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+  "L>2": [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+  "L>0": [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+  "0>L": [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]]
+};
+
+// SRS+ 180° kicks, the same for every piece
+const HALF = {
+  "0>2": [[0, 0], [0, 1], [1, 1], [-1, 1], [1, 0], [-1, 0]],
+  "2>0": [[0, 0], [0, -1], [-1, -1], [1, -1], [-1, 0], [1, 0]],
+  "R>L": [[0, 0], [1, 0], [1, 2], [1, 1], [0, 2], [0, 1]],
+  "L>R": [[0, 0], [-1, 0], [-1, 2], [-1, 1], [0, 2], [0, 1]]
+};
+
+/* [type, "from>to", kicks] for every transition a piece can make */
+function cases() {
+  const out = [];
+  for (const type of ["J", "L", "S", "T", "Z", "I"]) {
+    for (const [key, kicks] of Object.entries(type === "I" ? I : JLSTZ)) out.push([type, key, kicks]);
+    for (const [key, kicks] of Object.entries(HALF)) out.push([type, key, kicks]);
+  }
+  return out;
+}
+
+function states(key) {
+  const [from, to] = key.split(">");
+  return [STATES[from], STATES[to]];
+}
+
+const ACTION = { 1: "cw", 3: "ccw", 2: "180" };
+
+/* a copy turned clockwise `turn` quarter turns */
+function turned(matrix, turn) {
+  const out = matrix.map(r => r.slice());
+  if (turn === 3) rotateMatrix(out, -1);
+  else for (let i = 0; i < turn; ++i) rotateMatrix(out, 1);
+  return out;
+}
+
+test("getKicks matches the reference tables", () => {
+  for (const [type, key, kicks] of cases()) {
+    const [from, to] = states(key);
+    assert.deepEqual(getKicks(type, from, to), kicks, `${type} ${key}`);
+  }
+  for (let from = 0; from < 4; ++from) {
+    for (const turn of [1, 2, 3]) assert.deepEqual(getKicks("O", from, (from + turn) % 4), [[0, 0]]);
+  }
+});
+
+/* a game whose first piece is `type`, turned to `from` and parked in open space */
+function parked(type, from) {
+  const game = createGame({ mode: "puzzle", puzzle: { queue: [type], goal: { type: "lines", lines: 1 } } });
+  if (from === 1) game.input("cw");
+  else if (from === 2) game.input("180");
+  else if (from === 3) game.input("ccw");
+  const state = game.getState();
+  assert.equal(state.player.rotation, from);
+  state.player.pos = { x: 3, y: 24 };
+  return game;
+}
+
+/* every arena cell filled except where the piece lands after kick `k` */
+function leaveRoomFor(arena, matrix, x, y) {
+  const open = new Set();
+  matrix.forEach((row, my) => row.forEach((v, mx) => { if (v) open.add(`${x + mx},${y + my}`); }));
+  arena.forEach((row, ay) => row.forEach((_, ax) => { row[ax] = open.has(`${ax},${ay}`) ? 0 : GARBAGE_ID; }));
+}
+
+test("rotation takes the first kick that fits, flipping y onto the board", () => {
+  for (const [type, key, kicks] of cases()) {
+    const [from, to] = states(key);
+    const turn = (to - from + 4) % 4;
+    kicks.forEach(([dx, dy], k) => {
+      const game = parked(type, from);
+      const state = game.getState();
+      const p = state.player;
+      const matrix = turned(p.matrix, turn);
+      leaveRoomFor(state.arena, matrix, p.pos.x + dx, p.pos.y - dy);
+      const rotations = [];
+      game.on("rotate", e => rotations.push(e));
+      game.input(ACTION[turn]);
+      const label = `${type} ${key} kick ${k}`;
+      assert.equal(rotations.length, 1, label);
+      assert.equal(rotations[0].kick, k, label);
+      assert.equal(p.rotation, to, label);
+      assert.deepEqual(p.pos, { x: 3 + dx, y: 24 - dy }, label);
+    });
+  }
+});
+
+test("a rotation with no kick that fits leaves the piece alone", () => {
+  const game = parked("T", 0);
+  const state = game.getState();
+  state.arena.forEach(row => row.fill(GARBAGE_ID));
+  const rotations = [];
+  game.on("rotate", e => rotations.push(e));
+  game.input("cw");
+  assert.equal(rotations.length, 0);
+  assert.equal(state.player.rotation, 0);
+  assert.deepEqual(state.player.pos, { x: 3, y: 24 });
+});